@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const requiredEnvVars = [
   'PORT',
@@ -8,8 +9,7 @@ const requiredEnvVars = [
   'GITHUB_CLIENT_SECRET',
   'GITHUB_PRIVATE_KEY',
   'GITHUB_WEBHOOK_SECRET',
-  'JWT_SECRET',
-  'OPENAI_API_KEY'
+  'JWT_SECRET'
 ];
 
 console.log('DEBUG ENV:', process.env.PORT, process.env.MONGODB_URI);
@@ -22,6 +22,12 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// Integer setting where 0 is a valid value, unlike `parseInt(...) || n`
+const intOrDefault = (value, fallback) => {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? fallback : n;
+};
+
 module.exports = {
   port: process.env.PORT || 3000,
   mongodbUri: process.env.MONGODB_URI,
@@ -36,10 +42,70 @@ module.exports = {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES_IN || '1d'
   },
+  llm: {
+    // Default provider; repositories can override it in their configuration
+    provider: process.env.LLM_PROVIDER || 'openai',
+    // Let repositories select the fixture provider (for tests only)
+    allowRepositoryFixture: process.env.LLM_ALLOW_REPOSITORY_FIXTURE === 'true',
+    // Times malformed output is sent back to the model before giving up
+    maxRepairAttempts: intOrDefault(process.env.LLM_MAX_REPAIR_ATTEMPTS, 1)
+  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4'
   },
+  openaiCompatible: {
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+    model: process.env.OPENAI_COMPATIBLE_MODEL
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest'
+  },
+  fixture: {
+    dir: process.env.LLM_FIXTURE_DIR || path.join(__dirname, '../../fixtures/llm')
+  },
+  review: {
+    debounceMs: parseInt(process.env.REVIEW_DEBOUNCE_MS) || 30000,
+    creditCost: parseInt(process.env.REVIEW_CREDIT_COST) || 1,
+    chunkConcurrency: parseInt(process.env.REVIEW_CHUNK_CONCURRENCY) || 3,
+    chunkRetries: intOrDefault(process.env.REVIEW_CHUNK_RETRIES, 1),
+    // Name of the check run shown in the PR merge box
+    checkRunName: process.env.REVIEW_CHECK_RUN_NAME || 'AI Review',
+    // Answers the app gives in one review thread before it stops replying
+    maxThreadReplies: parseInt(process.env.REVIEW_MAX_THREAD_REPLIES) || 5,
+    // Prompt tokens spent on surrounding functions and imported files
+    contextTokens: parseInt(process.env.REVIEW_CONTEXT_TOKENS) || 8000,
+    // Prompt tokens spent on entries from the repository's knowledge index
+    knowledgeTokens: intOrDefault(process.env.REVIEW_KNOWLEDGE_TOKENS, 2000),
+    queue: {
+      pollIntervalMs: parseInt(process.env.REVIEW_QUEUE_POLL_MS) || 5000,
+      leaseMs: parseInt(process.env.REVIEW_QUEUE_LEASE_MS) || 5 * 60 * 1000,
+      maxAttempts: parseInt(process.env.REVIEW_QUEUE_MAX_ATTEMPTS) || 3,
+      backoffMs: parseInt(process.env.REVIEW_QUEUE_BACKOFF_MS) || 30000,
+      concurrency: parseInt(process.env.REVIEW_QUEUE_CONCURRENCY) || 4,
+      perInstallationConcurrency:
+        parseInt(process.env.REVIEW_QUEUE_PER_INSTALLATION) || 1
+    }
+  },
+  index: {
+    // Files of the default branch read into a repository's knowledge index
+    maxFiles: parseInt(process.env.INDEX_MAX_FILES) || 2000,
+    // Index entries retrieved for a review
+    maxResults: parseInt(process.env.INDEX_MAX_RESULTS) || 8,
+    // Store hashed term vectors and rank entries by cosine similarity
+    embeddings: process.env.INDEX_EMBEDDINGS === 'true',
+    queue: {
+      pollIntervalMs: parseInt(process.env.INDEX_QUEUE_POLL_MS) || 10000,
+      leaseMs: parseInt(process.env.INDEX_QUEUE_LEASE_MS) || 5 * 60 * 1000,
+      // Builds at once on this worker, and across workers per installation,
+      // so indexing leaves the installation's API rate limit to reviews
+      concurrency: parseInt(process.env.INDEX_QUEUE_CONCURRENCY) || 1,
+      perInstallationConcurrency:
+        parseInt(process.env.INDEX_QUEUE_PER_INSTALLATION) || 1
+    }
+  },
   slack: {
     webhookUrl: process.env.SLACK_WEBHOOK_URL,
     enabled: !!process.env.SLACK_WEBHOOK_URL
@@ -1,6 +1,15 @@
 const githubService = require('../services/githubService');
 const Repository = require('../models/Repository');
 const Installation = require('../models/Installation');
+const SuppressionRule = require('../models/SuppressionRule');
+const suppressionService = require('../services/suppressionService');
+const repositoryIndexService = require('../services/repositoryIndexService');
+const RepositoryConfigLoader = require('../helpers/repositoryConfigLoader');
+const GeneratedFileClassifier = require('../helpers/generatedFileClassifier');
+const { filterPaths } = require('../utils/pathFilter');
+
+const configLoader = new RepositoryConfigLoader();
+const generatedFileClassifier = new GeneratedFileClassifier();
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 const webhookHandler = asyncHandler(async (req, res) => {
@@ -132,6 +141,195 @@ const updateRepositoryConfig = asyncHandler(async (req, res) => {
   res.json({ config: repository.configuration });
 });
 
+// Only repositories of the caller's own installation, since the routes
+// act with that installation's GitHub token
+const findRepository = async (req) => {
+  const { owner, repo } = req.params;
+
+  const installation = await Installation.findOne({
+    userId: req.user._id,
+    status: 'active',
+    isActive: true
+  });
+
+  const repository = installation && await Repository.findOne({
+    fullName: `${owner}/${repo}`,
+    installationId: installation.installationId,
+    isActive: true
+  });
+
+  if (!repository) {
+    const error = new Error('Repository not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return repository;
+};
+
+const findSuppressionRule = async (req, repository) => {
+  const rule = await SuppressionRule.findOne({
+    _id: req.params.ruleId,
+    repositoryId: repository._id
+  });
+
+  if (!rule) {
+    const error = new Error('Suppression rule not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return rule;
+};
+
+const isPathGlob = (value) => typeof value === 'string' && value.trim() !== '';
+
+const listSuppressionRules = asyncHandler(async (req, res) => {
+  const repository = await findRepository(req);
+  const rules = await suppressionService.listRules(repository._id);
+
+  res.json({ rules });
+});
+
+const createSuppressionRule = asyncHandler(async (req, res) => {
+  const repository = await findRepository(req);
+  const { pathGlob, category, message } = req.body;
+
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ error: 'message must be a non-empty string' });
+  }
+
+  if (pathGlob !== undefined && !isPathGlob(pathGlob)) {
+    return res.status(400).json({ error: 'pathGlob must be a non-empty string' });
+  }
+
+  const rule = await suppressionService.createRule(repository, {
+    pathGlob,
+    category,
+    message,
+    source: 'dashboard',
+    createdBy: req.user.email
+  });
+
+  res.status(201).json({ rule });
+});
+
+const updateSuppressionRule = asyncHandler(async (req, res) => {
+  const repository = await findRepository(req);
+  const rule = await findSuppressionRule(req, repository);
+
+  if (req.body.pathGlob !== undefined && !isPathGlob(req.body.pathGlob)) {
+    return res.status(400).json({ error: 'pathGlob must be a non-empty string' });
+  }
+
+  // Only the scope can change; the wording is what the rule matches on
+  ['pathGlob', 'category', 'isActive'].forEach((field) => {
+    if (req.body[field] !== undefined) {
+      rule[field] = req.body[field];
+    }
+  });
+
+  await rule.save();
+
+  res.json({ rule });
+});
+
+// Rules are deactivated rather than deleted so a thumbs-down reaction that
+// is still on GitHub doesn't bring them back
+const deleteSuppressionRule = asyncHandler(async (req, res) => {
+  const repository = await findRepository(req);
+  const rule = await findSuppressionRule(req, repository);
+
+  rule.isActive = false;
+  await rule.save();
+
+  res.json({ rule });
+});
+
+/**
+ * Show which files a path configuration would skip, without reviewing.
+ * Files come from `files` or the changed files of `prNumber`. Patterns come
+ * from `includedPaths`/`excludedPaths` when given, otherwise from the
+ * repository's configuration with the PR base branch's config file merged in.
+ * Generated files are recognized from their paths, and with `prNumber` also
+ * from their diffs.
+ */
+const previewPathFilter = asyncHandler(async (req, res) => {
+  const repository = await findRepository(req);
+  const { prNumber, files, includedPaths, excludedPaths } = req.body;
+
+  if (!prNumber && !Array.isArray(files)) {
+    return res.status(400).json({ error: 'prNumber or files is required' });
+  }
+
+  let configuration = repository.toObject().configuration || {};
+  let configErrors = [];
+  let changedFiles = Array.isArray(files) ? files.map(filename => ({ filename })) : [];
+  let baseBranch;
+
+  if (prNumber) {
+    const { installationId, owner, name } = repository;
+    const prDetails = await githubService.getPullRequest(installationId, owner, name, prNumber);
+    baseBranch = prDetails.base.ref;
+
+    const loaded = await configLoader.load(repository, { baseBranch });
+    configuration = configLoader.merge(configuration, loaded.config);
+    configErrors = loaded.errors;
+
+    if (!Array.isArray(files)) {
+      changedFiles = await githubService.getPullRequestFiles(installationId, owner, name, prNumber);
+    }
+  }
+
+  if (includedPaths !== undefined || excludedPaths !== undefined) {
+    configuration = {
+      ...configuration,
+      includedPaths: includedPaths || [],
+      excludedPaths: excludedPaths || []
+    };
+  }
+
+  const { included, skipped } = filterPaths(changedFiles.map(file => file.filename), configuration);
+
+  const attributes = await generatedFileClassifier.loadAttributes(repository, { baseBranch });
+  const generated = generatedFileClassifier.partition(
+    changedFiles.filter(file => included.includes(file.filename)),
+    attributes,
+    configuration.generatedFiles
+  );
+
+  res.json({
+    includedPaths: configuration.includedPaths || [],
+    excludedPaths: configuration.excludedPaths || [],
+    configErrors,
+    reviewed: generated.kept.map(file => file.filename),
+    skipped: [
+      ...skipped,
+      ...generated.skipped.map(file => ({ path: file.path, reason: 'generated', kind: file.kind }))
+    ]
+  });
+});
+
+const getKnowledgeIndex = asyncHandler(async (req, res) => {
+  const repository = await findRepository(req);
+  const fileCount = await repositoryIndexService.countEntries(repository._id);
+
+  res.json({ index: repository.knowledgeIndex || null, fileCount });
+});
+
+// The build is queued; poll getKnowledgeIndex for its status
+const rebuildKnowledgeIndex = asyncHandler(async (req, res) => {
+  const repository = await findRepository(req);
+
+  if (repositoryIndexService.isBuilding(repository)) {
+    return res.status(409).json({ error: 'The index is already being built' });
+  }
+
+  await repositoryIndexService.scheduleBuild(repository);
+
+  res.status(202).json({ message: 'Index build queued' });
+});
+
 module.exports = {
   webhookHandler,
   prepareInstallation,
@@ -140,5 +338,12 @@ module.exports = {
   postInstallCallback,
   listRepositories,
   getRepositoryConfig,
-  updateRepositoryConfig
+  updateRepositoryConfig,
+  listSuppressionRules,
+  createSuppressionRule,
+  updateSuppressionRule,
+  deleteSuppressionRule,
+  previewPathFilter,
+  getKnowledgeIndex,
+  rebuildKnowledgeIndex
 };
\ No newline at end of file
@@ -1,6 +1,5 @@
 const pullRequestService = require("../services/pullRequestService");
 const { asyncHandler } = require("../middlewares/errorHandler");
-const aiReviewService = require("../services/aiReviewService");
 
 const getUserPullRequests = asyncHandler(async (req, res) => {
   const userId = req.user._id;
@@ -75,9 +74,10 @@ const triggerReview = asyncHandler(async (req, res) => {
   const { pullRequestId } = req.params;
   const { reReview } = req.body;
 
-  const reviewId = await aiReviewService.reviewPullRequest(
+  const reviewId = await pullRequestService.triggerReview(
     pullRequestId,
-    !!reReview
+    !!reReview,
+    req.user._id
   );
 
   res.json({
@@ -0,0 +1,208 @@
+// helpers/checkRunReporter.js - Mirrors a review's progress in a GitHub Check Run
+const githubService = require("../services/githubService");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+
+// GitHub accepts at most 50 annotations per request
+const ANNOTATIONS_PER_REQUEST = 50;
+
+// Check run output text is capped at 65535 characters
+const MAX_OUTPUT_LENGTH = 65000;
+
+const ANNOTATION_LEVELS = {
+  critical: "failure",
+  high: "failure",
+  medium: "warning",
+  low: "notice",
+};
+
+/**
+ * Check run reporting never fails a review: every GitHub error is logged and
+ * the review carries on, so a missing `checks: write` permission only means
+ * no check run is shown.
+ */
+class CheckRunReporter {
+  /**
+   * Create an in-progress check run on the PR head
+   * @returns {Object|null} Handle for later updates
+   */
+  async start(repository, pullRequest, reviewId) {
+    const run = {
+      installationId: repository.installationId,
+      owner: repository.owner,
+      repo: repository.name,
+      id: null,
+    };
+
+    try {
+      const checkRun = await githubService.createCheckRun(
+        run.installationId,
+        run.owner,
+        run.repo,
+        {
+          name: config.review.checkRunName,
+          head_sha: pullRequest.lastCommitSha,
+          external_id: reviewId,
+          status: "in_progress",
+          started_at: new Date().toISOString(),
+          output: {
+            title: "Review in progress",
+            summary: "Collecting the changes to review.",
+          },
+        }
+      );
+
+      run.id = checkRun.id;
+      return run;
+    } catch (error) {
+      logger.warn("Could not start check run", { error: error.message });
+      return null;
+    }
+  }
+
+  async progress(run, summary) {
+    await this.update(run, {
+      status: "in_progress",
+      output: { title: "Review in progress", summary },
+    });
+  }
+
+  /**
+   * Complete the check run with a conclusion and one annotation per finding
+   */
+  async complete(run, analysis) {
+    if (!run) return;
+
+    const conclusion = this.getConclusion(analysis);
+    const output = {
+      title: this.getTitle(analysis, conclusion),
+      summary: this.truncate(analysis.summary || "Review completed."),
+    };
+    const annotations = this.buildAnnotations(analysis.comments || []);
+
+    await this.update(run, {
+      status: "completed",
+      conclusion,
+      completed_at: new Date().toISOString(),
+      output: {
+        ...output,
+        annotations: annotations.slice(0, ANNOTATIONS_PER_REQUEST),
+      },
+    });
+
+    // Further annotations are appended by later updates
+    for (
+      let i = ANNOTATIONS_PER_REQUEST;
+      i < annotations.length;
+      i += ANNOTATIONS_PER_REQUEST
+    ) {
+      await this.update(run, {
+        output: {
+          ...output,
+          annotations: annotations.slice(i, i + ANNOTATIONS_PER_REQUEST),
+        },
+      });
+    }
+  }
+
+  async fail(run, error) {
+    await this.update(run, {
+      status: "completed",
+      conclusion: "failure",
+      completed_at: new Date().toISOString(),
+      output: {
+        title: "Review failed",
+        summary: this.truncate(
+          `The AI review could not be completed: ${error.message}`
+        ),
+      },
+    });
+  }
+
+  async update(run, data) {
+    if (!run) return;
+
+    try {
+      await githubService.updateCheckRun(
+        run.installationId,
+        run.owner,
+        run.repo,
+        run.id,
+        data
+      );
+    } catch (error) {
+      logger.warn("Could not update check run", {
+        error: error.message,
+        checkRunId: run.id,
+      });
+    }
+  }
+
+  /**
+   * Blocking findings fail the check, so it can gate merges via branch
+   * protection; partial reviews are neutral rather than a pass. Goes by what
+   * the review policy decided, even if GitHub didn't accept the review event.
+   */
+  getConclusion(analysis) {
+    if ((analysis.policyEvent || analysis.reviewEvent) === "REQUEST_CHANGES") {
+      return "failure";
+    }
+
+    if ((analysis.unanalyzedFiles || []).length > 0) {
+      return "neutral";
+    }
+
+    return "success";
+  }
+
+  getTitle(analysis, conclusion) {
+    const count = (analysis.comments || []).length;
+    const findings = `${count} finding${count === 1 ? "" : "s"}`;
+
+    if (conclusion === "failure") return `Changes requested: ${findings}`;
+    if (conclusion === "neutral") return `Partially reviewed: ${findings}`;
+    return count > 0 ? findings : "No issues found";
+  }
+
+  /**
+   * Annotations sit on new-file lines, so comments on removed code and
+   * file-level comments without a verified line are left to the review itself
+   */
+  buildAnnotations(comments) {
+    return comments
+      .filter(
+        (comment) =>
+          comment.side !== "LEFT" &&
+          comment.anchor !== "file" &&
+          comment.file &&
+          comment.line > 0
+      )
+      .map((comment) => {
+        const line = comment.line;
+        const annotation = {
+          path: comment.file,
+          start_line: comment.startLine || line,
+          end_line: line,
+          annotation_level: ANNOTATION_LEVELS[comment.severity] || "warning",
+          title: `[${(comment.severity || "medium").toUpperCase()}] ${
+            comment.category || comment.type || "issue"
+          }`,
+          message: this.truncate(comment.comment),
+        };
+
+        if (comment.suggestion) {
+          annotation.raw_details = this.truncate(comment.suggestion);
+        }
+
+        return annotation;
+      });
+  }
+
+  truncate(text) {
+    return text.length > MAX_OUTPUT_LENGTH
+      ? text.substring(0, MAX_OUTPUT_LENGTH) + "\n… (truncated)"
+      : text;
+  }
+}
+
+module.exports = CheckRunReporter;
@@ -0,0 +1,299 @@
+// helpers/codeIndexer.js - Describes source files for the knowledge index and ranks them
+const ScopeFinder = require("./scopeFinder");
+const SymbolExtractor = require("./symbolExtractor");
+const { getLanguage } = require("../utils/languages");
+
+// Symbols kept per file, exported ones first
+const MAX_FILE_SYMBOLS = 40;
+
+// Terms kept per file, most frequent first
+const MAX_FILE_TERMS = 150;
+
+const MAX_SUMMARY_LENGTH = 300;
+const MAX_SIGNATURE_LENGTH = 160;
+
+// Lines searched for the comment describing a file
+const SUMMARY_LINES = 40;
+
+// Dimensions of the hashed term vectors
+const EMBEDDING_DIMENSIONS = 256;
+
+// Without embeddings, entries sharing fewer terms with the change are noise
+const MIN_SHARED_TERMS = 2;
+const MIN_SIMILARITY = 0.1;
+
+// Lines that may come before a file's leading comment
+const PREAMBLE_LINE =
+  /^\s*(?:#!|['"]use strict['"]|#.*coding[:=]|package\s|import\s|from\s+\S+\s+import\s|(?:const|let|var)\s+[\w{}\s,]+=\s*require\(|require\(|export\s+\*\s+from\s)/;
+
+// A license header says nothing about what the file does
+const LICENSE_COMMENT = /\b(?:copyright|licen[cs]e[ds]?|spdx-license-identifier)\b/i;
+
+// Keywords and filler words every file shares
+const STOP_WORDS = new Set([
+  "abstract", "and", "any", "args", "async", "await", "bool", "boolean", "break", "case",
+  "catch", "class", "const", "continue", "def", "default", "defer", "del", "elif", "else",
+  "enum", "err", "error", "except", "export", "exports", "extends", "false", "final", "finally",
+  "float", "for", "from", "func", "function", "get", "global", "implements", "import", "int",
+  "interface", "lambda", "len", "let", "long", "map", "module", "new", "nil", "none", "not",
+  "null", "number", "object", "override", "package", "pass", "private", "protected", "public",
+  "raise", "range", "require", "return", "self", "set", "static", "str", "string", "struct",
+  "super", "switch", "the", "this", "throw", "throws", "true", "try", "type", "undefined",
+  "var", "void", "while", "with", "yield",
+]);
+
+class CodeIndexer {
+  constructor() {
+    this.scopeFinder = new ScopeFinder();
+    this.symbolExtractor = new SymbolExtractor();
+  }
+
+  supports(filename) {
+    return this.scopeFinder.supports(getLanguage(filename));
+  }
+
+  /**
+   * Describe a file for the index
+   * @param {string} filename - Repository-relative path
+   * @param {string} content - File content
+   * @param {Object} options - { embeddings } to also compute a term vector
+   * @returns {Object} { language, summary, symbols, terms, embedding }
+   */
+  describe(filename, content, options = {}) {
+    const language = getLanguage(filename);
+    const lines = content.split("\n");
+    const exportedNames = this.symbolExtractor.findExportedNames(content, language);
+
+    const symbols = this.scopeFinder
+      .withoutLocals(this.scopeFinder.listScopes(lines, language))
+      .map((scope) => {
+        const text = lines[scope.startLine - 1];
+        return {
+          name: scope.name,
+          kind: scope.kind,
+          exported: this.symbolExtractor.isExported(scope, text, language, exportedNames),
+          line: scope.startLine,
+          signature: text.trim().substring(0, MAX_SIGNATURE_LENGTH),
+        };
+      })
+      // Stable, so each group stays in file order
+      .sort((a, b) => Number(b.exported) - Number(a.exported))
+      .slice(0, MAX_FILE_SYMBOLS);
+
+    const counts = this.countTerms(`${filename}\n${content}`);
+
+    return {
+      language,
+      summary: this.summarize(lines),
+      symbols,
+      terms: [...counts.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, MAX_FILE_TERMS)
+        .map(([term]) => term),
+      embedding: options.embeddings ? this.embed(counts) : undefined,
+    };
+  }
+
+  /**
+   * The first comment or docstring before the file's code, without
+   * license headers and doc tags
+   */
+  summarize(lines) {
+    let index = 0;
+
+    while (index < Math.min(lines.length, SUMMARY_LINES)) {
+      const text = lines[index].trim();
+
+      if (!text || PREAMBLE_LINE.test(text)) {
+        index++;
+        continue;
+      }
+
+      const comment = this.readComment(lines, index);
+      if (!comment) {
+        return "";
+      }
+
+      index = comment.end + 1;
+      if (comment.text && !LICENSE_COMMENT.test(comment.text)) {
+        return this.truncate(comment.text, MAX_SUMMARY_LENGTH);
+      }
+    }
+
+    return "";
+  }
+
+  /**
+   * The comment starting at a line: a block comment, a docstring, or a run
+   * of line comments
+   * @returns {Object|null} { text, end } - end is the comment's last line index
+   */
+  readComment(lines, start) {
+    const first = lines[start].trim();
+    const block = first.match(/^(\/\*+|"""|''')/);
+    let end = start;
+    let body;
+
+    if (block) {
+      const close = block[1].startsWith("/") ? "*/" : block[1];
+      const rest = first.substring(block[1].length);
+      end = start;
+      if (!rest.includes(close)) {
+        while (end + 1 < lines.length && !lines[end + 1].includes(close)) end++;
+        end = Math.min(end + 1, lines.length - 1);
+      }
+
+      body = lines
+        .slice(start, end + 1)
+        .map((text, i) => (i === 0 ? rest : text).split(close)[0].replace(/^\s*\*?\s?/, ""));
+    } else {
+      const marker = first.match(/^(\/\/+|#+)/);
+      if (!marker) {
+        return null;
+      }
+
+      const prefix = marker[1].startsWith("#") ? "#" : "//";
+      while (end + 1 < lines.length && lines[end + 1].trim().startsWith(prefix)) end++;
+      body = lines.slice(start, end + 1).map((text) => text.trim().replace(/^(\/\/+|#+)\s?/, ""));
+    }
+
+    // Doc tags describe parameters, not the file; the first paragraph is enough
+    const paragraph = [];
+    for (const text of body.map((line) => line.trim())) {
+      if (text.startsWith("@")) break;
+      if (!text) {
+        if (paragraph.length > 0) break;
+        continue;
+      }
+      paragraph.push(text);
+    }
+
+    return { text: paragraph.join(" "), end };
+  }
+
+  truncate(text, length) {
+    if (text.length <= length) {
+      return text;
+    }
+
+    return `${text.substring(0, text.lastIndexOf(" ", length - 3) + 1 || length - 3).trim()}...`;
+  }
+
+  /**
+   * Words of the identifiers in some code, with how often each occurs.
+   * `filterPaths` counts as "filter", "paths" and "filterpaths", so an exact
+   * name outweighs its words.
+   * @returns {Map} Count by term
+   */
+  countTerms(text) {
+    const counts = new Map();
+    const add = (term) => {
+      if (term.length < 3 || STOP_WORDS.has(term)) return;
+      counts.set(term, (counts.get(term) || 0) + 1);
+    };
+
+    for (const [identifier] of (text || "").matchAll(/[A-Za-z_][A-Za-z0-9_]*/g)) {
+      const words = identifier
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+        .toLowerCase()
+        .split(/[_\s]+/)
+        .filter(Boolean);
+
+      words.forEach(add);
+      if (words.length > 1) {
+        add(words.join(""));
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * A local stand-in for a text embedding: term counts hashed into a fixed
+   * number of dimensions and normalized, so the dot product of two vectors
+   * is their cosine similarity
+   */
+  embed(counts) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+    counts.forEach((count, term) => {
+      const hash = this.hashTerm(term);
+      // The sign bit spreads collisions out instead of piling them up
+      vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map((value) => Math.round((value / norm) * 10000) / 10000) : vector;
+  }
+
+  /**
+   * 32-bit FNV-1a
+   */
+  hashTerm(term) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < term.length; i++) {
+      hash ^= term.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Order index entries by how much they have in common with some code.
+   * Shared terms are weighted by how few entries contain them; with
+   * embeddings, entries are ordered by cosine similarity instead.
+   * @param {Array} entries - IndexedFile documents with terms, and embedding when used
+   * @param {string} text - The changed code
+   * @param {Object} options - { limit, embeddings }
+   * @returns {Array} [{ path, summary, symbols, matchedTerms, score }], best first
+   */
+  rank(entries, text, options = {}) {
+    const counts = this.countTerms(text);
+    if (entries.length === 0 || counts.size === 0) {
+      return [];
+    }
+
+    const documentFrequency = new Map();
+    entries.forEach((entry) => {
+      (entry.terms || []).forEach((term) => {
+        if (counts.has(term)) {
+          documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+      });
+    });
+    const weight = (term) => Math.log(1 + entries.length / documentFrequency.get(term));
+    const query = options.embeddings ? this.embed(counts) : null;
+
+    return entries
+      .map((entry) => {
+        const shared = (entry.terms || [])
+          .filter((term) => counts.has(term))
+          .sort((a, b) => weight(b) - weight(a));
+
+        let score;
+        if (query) {
+          const embedding = entry.embedding || [];
+          score = embedding.reduce((sum, value, i) => sum + value * (query[i] || 0), 0);
+          if (score < MIN_SIMILARITY) score = 0;
+        } else {
+          score = shared.length >= MIN_SHARED_TERMS
+            ? shared.reduce((sum, term) => sum + weight(term), 0)
+            : 0;
+        }
+
+        return {
+          path: entry.path,
+          summary: entry.summary,
+          symbols: entry.symbols || [],
+          matchedTerms: shared.slice(0, 5),
+          score: Math.round(score * 1000) / 1000,
+        };
+      })
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || entries.length);
+  }
+}
+
+module.exports = CodeIndexer;
@@ -1,5 +1,27 @@
 // helpers/commentProcessor.js - Enhanced for better comment formatting
+const crypto = require("crypto");
 const logger = require("../utils/logger");
+const { getLanguage } = require("../utils/languages");
+const { matchesPattern } = require("../utils/pathFilter");
+
+// Hidden markers that let later reviews find the comments this app posted
+const SUMMARY_MARKER = "<!-- ai-review:summary -->";
+const REVIEW_MARKER = "<!-- ai-review:review -->";
+const CONFIG_MARKER = "<!-- ai-review:config -->";
+const FINDING_MARKER_PATTERN = /<!-- ai-review:finding ([0-9a-f]+) -->/;
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+// Share of fingerprint words two findings must have in common to be the same complaint
+const FINGERPRINT_SIMILARITY = 0.6;
+
+// Words that say nothing about what a finding is about
+const FILLER_WORDS = new Set([
+  "the", "and", "for", "this", "that", "with", "are", "can", "could", "should",
+  "would", "may", "might", "not", "but", "you", "your", "use", "using", "consider",
+  "when", "which", "from", "into", "there", "here", "its", "has", "have", "been",
+  "will", "also", "more", "than", "any", "all", "code", "line",
+]);
 
 class CommentProcessor {
   /**
@@ -33,21 +55,51 @@ class CommentProcessor {
         return null;
       }
 
-      // Map line number to diff position
-      const diffPosition = this.findDiffPosition(fileAnalysis, comment.line);
-      if (!diffPosition) {
-        logger.warn(`Could not map line ${comment.line} in ${comment.file}`);
-        return null;
+      const anchor = this.resolveAnchor(comment, fileAnalysis);
+
+      // The snippet couldn't be placed, so don't guess a line
+      if (!anchor) {
+        logger.warn(
+          `Snippet not found for ${comment.file}:${comment.line}, posting as a file comment`
+        );
+
+        const fileComment = {
+          ...comment,
+          line: null,
+          startLine: null,
+          side: "RIGHT",
+          anchor: "file",
+          severity: comment.severity || "medium",
+          type: comment.type || "issue",
+          applicableReplacement: false,
+        };
+        fileComment.formattedComment = this.formatComment(fileComment);
+
+        return fileComment;
       }
 
+      const { line, side, startLine, mapping } = anchor;
+
       // Enhance comment with context
       const enhancedComment = {
         ...comment,
-        diffPosition,
+        line,
+        side,
+        startLine,
+        anchor: anchor.status,
+        diffPosition: mapping[line].diffPosition,
+        contentHash: mapping[line].hash,
         severity: comment.severity || "medium",
         type: comment.type || "issue",
-        formattedComment: this.formatComment(comment),
+        // A replacement can only be committed from GitHub if it lands on
+        // exactly the new-file lines the model meant
+        applicableReplacement:
+          typeof comment.replacement === "string" &&
+          side === "RIGHT" &&
+          anchor.status === "verified" &&
+          (!comment.startLine || startLine !== null),
       };
+      enhancedComment.formattedComment = this.formatComment(enhancedComment);
 
       return enhancedComment;
     } catch (error) {
@@ -60,31 +112,143 @@ class CommentProcessor {
   }
 
   /**
-   * Find diff position for a line number
+   * Check the comment's line against the code snippet the model quoted.
+   * Returns the anchor with status "verified" when the claimed line holds
+   * the snippet, "relocated" when the snippet matches exactly one other
+   * line in the diff, or null when it can't be placed confidently.
    */
-  findDiffPosition(fileAnalysis, lineNumber) {
-    const lineData = fileAnalysis.lineMapping[lineNumber];
+  resolveAnchor(comment, fileAnalysis) {
+    const snippetLines = this.normalizeSnippet(comment.snippet);
+    if (snippetLines.length === 0) {
+      return null;
+    }
+
+    // LEFT comments point at old-file lines, e.g. removed code
+    const side = comment.side === "LEFT" ? "LEFT" : "RIGHT";
+    const mappings = {
+      RIGHT: fileAnalysis.lineMapping || {},
+      LEFT: fileAnalysis.oldLineMapping || {},
+    };
+    const mapping = mappings[side];
+    const line = Number(comment.line);
+
+    // The claimed line, or any line of the claimed range, holds the snippet
+    if (mapping[line]) {
+      const startLine = this.resolveStartLine(mapping, comment.startLine, line);
+      const claimed = [];
+      for (let l = startLine || line; l <= line; l++) {
+        if (mapping[l]) claimed.push(l);
+      }
 
-    if (lineData) {
-      return lineData.diffPosition;
+      if (claimed.some((l) => this.lineMatches(mapping[l], snippetLines))) {
+        return { status: "verified", line, side, startLine, mapping };
+      }
     }
 
-    // If exact line not found, find closest commentable line
-    const availableLines = Object.keys(fileAnalysis.lineMapping).map(Number);
-    const closestLine = availableLines.reduce((prev, curr) => {
-      return Math.abs(curr - lineNumber) < Math.abs(prev - lineNumber)
-        ? curr
-        : prev;
-    }, availableLines[0]);
-
-    if (closestLine && Math.abs(closestLine - lineNumber) <= 5) {
-      logger.info(`Using nearby line ${closestLine} instead of ${lineNumber}`);
-      return fileAnalysis.lineMapping[closestLine].diffPosition;
+    // Otherwise look for the snippet's most distinctive line, on the
+    // claimed side first
+    const key = snippetLines.reduce((a, b) => (b.length > a.length ? b : a));
+    for (const candidateSide of [side, side === "LEFT" ? "RIGHT" : "LEFT"]) {
+      const candidates = Object.keys(mappings[candidateSide])
+        .map(Number)
+        .filter((l) => this.lineMatches(mappings[candidateSide][l], [key]));
+
+      if (candidates.length === 1) {
+        logger.info(
+          `Moved comment on ${comment.file} from ${side} line ${line} to ${candidateSide} line ${candidates[0]} to match its snippet`
+        );
+        return {
+          status: "relocated",
+          line: candidates[0],
+          side: candidateSide,
+          startLine: null,
+          mapping: mappings[candidateSide],
+        };
+      }
+
+      if (candidates.length > 1) {
+        return null;
+      }
     }
 
     return null;
   }
 
+  /**
+   * Split a quoted snippet into normalized lines worth matching on
+   */
+  normalizeSnippet(snippet) {
+    if (typeof snippet !== "string") {
+      return [];
+    }
+
+    return snippet
+      .split("\n")
+      .map((line) => this.normalizeCode(line.replace(/^[+-]/, "")))
+      .filter((line) => this.isDistinctive(line));
+  }
+
+  /**
+   * Whether a diff line's code matches one of the snippet lines
+   */
+  lineMatches(lineData, snippetLines) {
+    const code = this.normalizeCode(lineData.content.substring(1));
+    if (!this.isDistinctive(code)) {
+      return false;
+    }
+
+    return snippetLines.some(
+      (snippetLine) => code.includes(snippetLine) || snippetLine.includes(code)
+    );
+  }
+
+  normalizeCode(code) {
+    return code.trim().replace(/\s+/g, " ");
+  }
+
+  /**
+   * Lines like "}" or "" match almost anywhere, so they can't anchor a comment
+   */
+  isDistinctive(code) {
+    return /\w{2,}/.test(code);
+  }
+
+  /**
+   * Count how comment anchors were resolved, for the review's mismatch rate
+   */
+  countAnchors(comments) {
+    const stats = { total: 0, verified: 0, relocated: 0, fileLevel: 0 };
+
+    comments.forEach((comment) => {
+      if (!comment.anchor) return;
+
+      stats.total++;
+      if (comment.anchor === "verified") stats.verified++;
+      if (comment.anchor === "relocated") stats.relocated++;
+      if (comment.anchor === "file") stats.fileLevel++;
+    });
+
+    stats.mismatchRate =
+      stats.total > 0
+        ? Number(((stats.relocated + stats.fileLevel) / stats.total).toFixed(3))
+        : 0;
+
+    return stats;
+  }
+
+  /**
+   * Keep the start of a multi-line range only if GitHub will accept it:
+   * above the end line and in the same hunk
+   */
+  resolveStartLine(mapping, startLine, line) {
+    const start = parseInt(startLine);
+    if (!start || start >= line || !mapping[start]) {
+      return null;
+    }
+
+    return mapping[start].hunkIndex === mapping[line].hunkIndex ? start : null;
+  }
+
   /**
    * Format comment for GitHub with better styling
    */
@@ -110,6 +274,19 @@ class CommentProcessor {
     // Add main comment
     formatted += comment.comment;
 
+    const language = getLanguage(comment.file) || "";
+
+    // GitHub shows a "Commit suggestion" button for startLine..line
+    if (comment.applicableReplacement) {
+      formatted +=
+        "\n\n**Suggested change:**\n" +
+        this.fenceCode(comment.replacement, "suggestion");
+    } else if (typeof comment.replacement === "string" && comment.replacement) {
+      formatted +=
+        "\n\n**Suggested fix:**\n" +
+        this.fenceCode(comment.replacement, language);
+    }
+
     // Add suggestion with code example if present
     if (comment.suggestion) {
       // Check if suggestion contains code (has newlines or looks like code)
@@ -120,11 +297,12 @@ class CommentProcessor {
         comment.suggestion.includes("=");
 
       if (hasCode) {
-        // Format as code block
-        formatted +=
-          "\n\n**Suggested fix:**\n```javascript\n" +
-          comment.suggestion +
-          "\n```";
+        // The replacement above already shows the fix as code
+        if (!comment.replacement) {
+          formatted +=
+            "\n\n**Suggested fix:**\n" +
+            this.fenceCode(comment.suggestion, language);
+        }
       } else {
         // Format as regular text
         formatted += "\n\n**Suggestion:** " + comment.suggestion;
@@ -139,22 +317,240 @@ class CommentProcessor {
     return formatted;
   }
 
+  /**
+   * Stable key for a finding, the same for the comment when it is posted and
+   * for its stored feedback later on
+   */
+  findingKey(finding) {
+    const path = finding.path || finding.file;
+    const anchor = finding.contentHash || finding.line || "file";
+    const text = (finding.comment || "").trim().replace(/\s+/g, " ");
+
+    return crypto
+      .createHash("sha1")
+      .update(`${path}|${finding.side || "RIGHT"}|${anchor}|${text}`)
+      .digest("hex")
+      .substring(0, 16);
+  }
+
+  /**
+   * Drop findings muted on the PR or dismissed in the repository.
+   * /ai-ignore rules match a finding's category, type, severity or file, or a
+   * directory when they end in "/"; /ai-resolve closes one finding by its key;
+   * repository suppression rules match by path glob, category and wording.
+   */
+  applySuppressions(findings, pullRequest, suppressionRules = []) {
+    return this.partitionSuppressed(findings, pullRequest, suppressionRules)
+      .kept;
+  }
+
+  /**
+   * Split findings into the ones to keep and the suppressed ones, each with
+   * the repository rule that matched it, if any
+   * @returns {Object} { kept, suppressed: [{ finding, rule }] }
+   */
+  partitionSuppressed(findings, pullRequest, suppressionRules = []) {
+    const rules = (pullRequest.ignoredRules || []).map((r) => r.rule);
+    const resolvedKeys = new Set(
+      (pullRequest.resolvedFindings || []).map((f) => f.key)
+    );
+    const kept = [];
+    const suppressed = [];
+
+    (findings || []).forEach((finding) => {
+      if (
+        resolvedKeys.has(this.findingKey(finding)) ||
+        rules.some((rule) => this.matchesRule(finding, rule))
+      ) {
+        suppressed.push({ finding, rule: null });
+        return;
+      }
+
+      const rule = suppressionRules.find((r) =>
+        this.matchesSuppressionRule(finding, r)
+      );
+      if (rule) {
+        suppressed.push({ finding, rule });
+        return;
+      }
+
+      kept.push(finding);
+    });
+
+    if (suppressed.length > 0) {
+      logger.info(`Suppressed ${suppressed.length} muted or dismissed findings`);
+    }
+
+    return { kept: findings ? kept : findings, suppressed };
+  }
+
+  matchesRule(finding, rule) {
+    const path = (finding.path || finding.file || "").toLowerCase();
+
+    if (rule.endsWith("/")) {
+      return path.startsWith(rule);
+    }
+
+    return [finding.category, finding.type, finding.severity, path].some(
+      (value) => (value || "").toLowerCase() === rule
+    );
+  }
+
+  matchesSuppressionRule(finding, rule) {
+    const path = finding.path || finding.file || "";
+
+    if (rule.pathGlob && !matchesPattern(path, rule.pathGlob)) {
+      return false;
+    }
+
+    if (rule.category && rule.category !== (finding.category || "general")) {
+      return false;
+    }
+
+    return (
+      this.fingerprintSimilarity(
+        this.messageFingerprint(finding.comment),
+        rule.fingerprint
+      ) >= FINGERPRINT_SIMILARITY
+    );
+  }
+
+  /**
+   * Normalized wording of a finding: its distinct words without code,
+   * numbers or filler, sorted. Rewordings of the same complaint share most
+   * of them.
+   */
+  messageFingerprint(text) {
+    const words = (text || "")
+      .toLowerCase()
+      .replace(/`[^`]*`/g, " ")
+      .replace(/[^a-z\s]/g, " ")
+      .split(/\s+/)
+      .filter((word) => word.length > 2 && !FILLER_WORDS.has(word));
+
+    return [...new Set(words)].sort().join(" ");
+  }
+
+  /**
+   * Jaccard similarity of two fingerprints' words
+   */
+  fingerprintSimilarity(a, b) {
+    const wordsA = new Set((a || "").split(" ").filter(Boolean));
+    const wordsB = new Set((b || "").split(" ").filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  withFindingMarker(body, key) {
+    return `${body}\n\n<!-- ai-review:finding ${key} -->`;
+  }
+
+  parseFindingKey(body) {
+    const match = (body || "").match(FINDING_MARKER_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  withSummaryMarker(body) {
+    return `${SUMMARY_MARKER}\n${body}`;
+  }
+
+  isSummaryComment(body) {
+    return (body || "").includes(SUMMARY_MARKER);
+  }
+
+  withReviewMarker(body) {
+    return `${body}\n\n${REVIEW_MARKER}`;
+  }
+
+  withConfigMarker(body) {
+    return `${CONFIG_MARKER}\n${body}`;
+  }
+
+  isConfigComment(body) {
+    return (body || "").includes(CONFIG_MARKER);
+  }
+
+  /**
+   * Explain why the repository's config file was ignored
+   */
+  formatConfigErrors(path, errors) {
+    return (
+      `### ⚠️ \`${path}\` was ignored\n\n` +
+      "This review used the repository settings from the dashboard because the file has problems:\n\n" +
+      errors.map((error) => `- ${error}`).join("\n")
+    );
+  }
+
+  /**
+   * Drop findings below the repository's severity threshold
+   */
+  filterBySeverity(comments, threshold) {
+    const minimum = SEVERITY_RANK[threshold] || 0;
+    if (minimum === 0) {
+      return comments;
+    }
+
+    return comments.filter(
+      (comment) => (SEVERITY_RANK[comment.severity] ?? 1) >= minimum
+    );
+  }
+
+  isOwnReview(body) {
+    return (body || "").includes(REVIEW_MARKER);
+  }
+
+  /**
+   * Wrap code in a fence longer than any backtick run inside it
+   */
+  fenceCode(code, info = "") {
+    const longestRun = Math.max(
+      0,
+      ...(code.match(/`+/g) || []).map((run) => run.length)
+    );
+    const fence = "`".repeat(Math.max(3, longestRun + 1));
+
+    return `${fence}${info}\n${code}\n${fence}`;
+  }
+
   /**
    * Separate inline and general comments
    */
   separateComments(comments) {
     const inline = [];
     const general = [];
+    const fileLevel = [];
   
     comments.forEach((comment) => {
-      if (comment.file && comment.line > 0) {
-        inline.push({
+      const key = this.findingKey(comment);
+
+      if (comment.anchor === "file") {
+        fileLevel.push({
+          path: comment.file,
+          key,
+          body: this.withFindingMarker(comment.formattedComment, key),
+          // Posted as an issue comment if GitHub rejects the file comment
+          fallbackBody: this.formatGeneralComment(comment),
+        });
+      } else if (comment.file && comment.line > 0) {
+        const side = comment.side || "RIGHT";
+        const inlineComment = {
           path: comment.file,
           line: comment.line,      // Use actual line number
-          body: comment.formattedComment,
+          side,
+          key,
+          body: this.withFindingMarker(comment.formattedComment, key),
           // Keep position as fallback
           position: comment.diffPosition,
-        });
+        };
+
+        if (comment.startLine) {
+          inlineComment.start_line = comment.startLine;
+          inlineComment.start_side = side;
+        }
+
+        inline.push(inlineComment);
       } else {
         general.push({
           body: this.formatGeneralComment(comment),
@@ -162,7 +558,11 @@ class CommentProcessor {
       }
     });
   
-    return { inlineComments: inline, generalComments: general };
+    return {
+      inlineComments: inline,
+      generalComments: general,
+      fileComments: fileLevel,
+    };
   }
 
   /**
@@ -174,7 +574,10 @@ class CommentProcessor {
     if (comment.file) {
       formatted = `**File:** \`${comment.file}\`\n`;
       if (comment.line) {
-        formatted += `**Line:** ${comment.line}\n`;
+        formatted +=
+          comment.side === "LEFT"
+            ? `**Line:** ${comment.line} (removed)\n`
+            : `**Line:** ${comment.line}\n`;
       }
       formatted += `\n${comment.formattedComment}`;
     }
@@ -182,6 +585,105 @@ class CommentProcessor {
     return formatted;
   }
 
+  /**
+   * Format the review summary posted with the review
+   */
+  formatReviewSummary(analysis) {
+    let summary = "## 🤖 AI Code Review\n\n";
+    summary += analysis.summary || "I've analyzed your pull request.";
+
+    if (analysis.previousFindings && analysis.previousFindings.length > 0) {
+      summary += "\n\n" + this.formatFindingStatus(analysis.previousFindings);
+    }
+
+    if (analysis.unanalyzedFiles && analysis.unanalyzedFiles.length > 0) {
+      summary += "\n\n" + this.formatUnanalyzedFiles(analysis.unanalyzedFiles);
+    }
+
+    if (analysis.skippedFiles && analysis.skippedFiles.length > 0) {
+      summary += "\n\n" + this.formatSkippedFiles(analysis.skippedFiles);
+    }
+
+    return summary;
+  }
+
+  /**
+   * One line counting the generated files left out, by kind
+   */
+  formatSkippedFiles(files) {
+    const labels = {
+      lockfile: ["lockfile", "lockfiles"],
+      snapshot: ["snapshot", "snapshots"],
+      migration: ["migration", "migrations"],
+    };
+    const counts = new Map();
+
+    files.forEach((file) => counts.set(file.kind, (counts.get(file.kind) || 0) + 1));
+
+    const parts = [...counts].map(([kind, count]) => {
+      const label = labels[kind] ? labels[kind][count === 1 ? 0 : 1] : kind;
+      return `${count} ${label}`;
+    });
+
+    return `<sub>Skipped ${files.length} ${files.length === 1 ? "file" : "files"} without review: ${parts.join(", ")}.</sub>`;
+  }
+
+  /**
+   * List files the review could not cover, so nobody mistakes silence for approval
+   */
+  formatUnanalyzedFiles(files) {
+    let formatted = "### ⚠️ Not analyzed\n\n";
+    formatted += "These changes were not reviewed and need a manual look:\n\n";
+
+    files.forEach((file) => {
+      formatted += `- \`${file.path}\`: ${file.reason}\n`;
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Format the status of findings from earlier reviews as a table
+   */
+  formatFindingStatus(findings, maxRows = 20) {
+    const statusConfig = {
+      resolved: { emoji: "✅", label: "Resolved" },
+      still_present: { emoji: "⚠️", label: "Still present" },
+      outdated: { emoji: "🗂️", label: "Outdated" },
+    };
+
+    const counts = Object.keys(statusConfig).map((status) => {
+      const count = findings.filter((f) => f.status === status).length;
+      return `${statusConfig[status].emoji} ${statusConfig[status].label}: ${count}`;
+    });
+
+    let formatted = "### Previous findings\n\n" + counts.join(" · ") + "\n\n";
+    formatted += "| Status | Location | Finding |\n|---|---|---|\n";
+
+    // Open findings first so they survive truncation
+    const order = ["still_present", "resolved", "outdated"];
+    const sorted = [...findings].sort(
+      (a, b) => order.indexOf(a.status) - order.indexOf(b.status)
+    );
+
+    sorted.slice(0, maxRows).forEach((finding) => {
+      const status = statusConfig[finding.status];
+      const line = finding.currentLine || finding.line;
+      const text = (finding.comment || "")
+        .replace(/\s+/g, " ")
+        .replace(/\|/g, "\\|");
+      const shortText = text.length > 100 ? text.substring(0, 97) + "..." : text;
+
+      formatted += `| ${status.emoji} ${status.label} | \`${finding.path}:${line}\` | ${shortText} |\n`;
+    });
+
+    if (sorted.length > maxRows) {
+      formatted += `\n_…and ${sorted.length - maxRows} more._\n`;
+    }
+
+    return formatted;
+  }
+
   /**
    * Validate and enhance AI response
    */
@@ -297,6 +799,46 @@ class CommentProcessor {
         : [],
     };
   }
+
+  /**
+   * Map the review's verdict and open issues to a GitHub review event
+   * using the repository's review policy
+   * @returns {string} APPROVE, REQUEST_CHANGES or COMMENT
+   */
+  chooseReviewEvent(analysis, policy = {}) {
+    const requestChangesOn = policy.requestChangesOn || ["critical", "high"];
+    const followVerdict = policy.followVerdict !== false;
+    const { verdict } = this.validateAssessment(analysis.overallAssessment);
+
+    // Issues still open after this review, including earlier ones not fixed
+    const openIssues = [
+      ...(analysis.comments || []),
+      ...(analysis.previousFindings || []).filter(
+        (finding) => finding.status === "still_present"
+      ),
+    ].filter((finding) => (finding.type || "issue") === "issue");
+
+    const blocking = openIssues.filter((finding) =>
+      requestChangesOn.includes(finding.severity)
+    );
+
+    if (blocking.length > 0 || (followVerdict && verdict === "request_changes")) {
+      return "REQUEST_CHANGES";
+    }
+
+    // Never approve changes that weren't fully reviewed
+    const fullyReviewed = !(analysis.unanalyzedFiles || []).length;
+
+    if (
+      policy.allowApprove &&
+      fullyReviewed &&
+      (verdict === "approve" || !followVerdict)
+    ) {
+      return "APPROVE";
+    }
+
+    return "COMMENT";
+  }
 }
 
 module.exports = CommentProcessor;
@@ -1,24 +1,73 @@
 // helpers/contextBuilder.js - Builds comprehensive context for AI review
+const path = require("path");
 const githubService = require("../services/githubService");
+const repositoryIndexService = require("../services/repositoryIndexService");
 const logger = require("../utils/logger");
+const { getLanguage } = require("../utils/languages");
+const ScopeFinder = require("./scopeFinder");
+const SymbolExtractor = require("./symbolExtractor");
+
+// Changed files read at the head for their surrounding code and imports
+const MAX_SOURCE_FILES = 20;
+
+// Imported files fetched for context, most imported first
+const MAX_RELATED_FILES = 10;
+
+// Larger files cost more tokens than they are worth as context
+const MAX_CONTEXT_FILE_LENGTH = 100000;
+
+// Longer functions and classes are only named, with their first line
+const MAX_SCOPE_LINES = 150;
+
+const SCRIPT_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs"];
+
+// Conventional commit types in PR titles, e.g. "feat(api): ..."
+const CONVENTIONAL_TYPES = {
+  feat: 'feature',
+  fix: 'bugfix',
+  refactor: 'refactor',
+  perf: 'refactor',
+  docs: 'documentation',
+  test: 'test',
+  chore: 'chore',
+  build: 'chore',
+  ci: 'chore',
+  deps: 'chore',
+};
+
+const DOCUMENTATION_FILE = /(^|\/)docs?\/|\.(md|mdx|rst|adoc)$/i;
+const TEST_FILE = /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.\w+$|_test\.(go|py)$|(^|\/)test_[^/]+\.py$|Tests?\.java$/;
+const CHORE_FILE = /(^|\/)(package\.json|go\.mod|go\.sum|requirements[\w-]*\.txt|pyproject\.toml|setup\.cfg|pom\.xml|build\.gradle(\.kts)?|Dockerfile|Makefile|\.[\w-]+rc(\.\w+)?)$|^\.github\//;
 
 class ContextBuilder {
+  constructor() {
+    this.scopeFinder = new ScopeFinder();
+    this.symbolExtractor = new SymbolExtractor();
+  }
+
   /**
    * Builds comprehensive context for the PR review
    */
-  async buildContext(repository, pullRequest, diffAnalysis, isReReview) {
+  async buildContext(repository, pullRequest, diffAnalysis, isReReview, previousFindings = null) {
     try {
+      const sources = await this.getSourceFiles(repository, pullRequest, diffAnalysis);
+      const symbols = this.getChangedSymbols(sources, diffAnalysis);
+      const relatedFiles = await this.getRelatedFiles(repository, pullRequest, sources);
+
       const context = {
         repository: await this.getRepositoryContext(repository),
         pullRequest: await this.getPullRequestContext(pullRequest),
         diffAnalysis: this.getDiffContext(diffAnalysis),
-        prType: this.determinePRType(pullRequest, diffAnalysis),
+        prType: this.determinePRType(pullRequest, diffAnalysis, symbols),
         previousReviews: this.getPreviousReviews(pullRequest),
-        relatedFiles: await this.getRelatedFiles(repository, pullRequest, diffAnalysis),
+        symbols,
+        enclosingScopes: this.getEnclosingScopes(sources, diffAnalysis),
+        relatedFiles,
+        knowledge: await this.getKnowledge(repository, diffAnalysis, relatedFiles),
       };
 
       if (isReReview) {
-        context.reReviewContext = this.buildReReviewContext(pullRequest);
+        context.reReviewContext = this.buildReReviewContext(pullRequest, previousFindings);
       }
 
       return context;
@@ -117,19 +166,47 @@ class ContextBuilder {
   }
 
   /**
-   * Determine PR type based on changes
+   * Determine PR type from the title's commit type, the kind of files
+   * changed, the title's wording and the symbols changed, in that order
+   * @param {Object} symbols - Changed symbols by filename, see getChangedSymbols
    */
-  determinePRType(pullRequest, diffAnalysis) {
-    const title = pullRequest.title.toLowerCase();
+  determinePRType(pullRequest, diffAnalysis, symbols = {}) {
+    const title = (pullRequest.title || '').toLowerCase();
     const stats = diffAnalysis.statistics;
+    const filenames = Object.keys(diffAnalysis.files);
+
+    const conventional = title.match(/^(\w+)(?:\([^)]*\))?!?:/);
+    if (conventional && CONVENTIONAL_TYPES[conventional[1]]) {
+      return CONVENTIONAL_TYPES[conventional[1]];
+    }
+
+    if (filenames.length > 0) {
+      if (filenames.every((filename) => DOCUMENTATION_FILE.test(filename))) return 'documentation';
+      if (filenames.every((filename) => TEST_FILE.test(filename))) return 'test';
+      if (filenames.every((filename) => CHORE_FILE.test(filename))) return 'chore';
+    }
+
+    // Whole words, so "prefix" isn't a fix
+    if (/\b(fix|fixes|fixed|bug|bugfix|hotfix)\b/.test(title)) return 'bugfix';
+    if (/\b(feat|feature|add|adds|implement|support)\b/.test(title)) return 'feature';
+    if (/\b(refactor|cleanup|clean up|rename|move)\b/.test(title)) return 'refactor';
+    if (/\b(docs|documentation|readme)\b/.test(title)) return 'documentation';
+    if (/\b(tests?|testing)\b/.test(title)) return 'test';
+    if (/\b(chore|deps|bump|upgrade)\b/.test(title)) return 'chore';
 
-    // Check title patterns
-    if (title.includes('fix') || title.includes('bug')) return 'bugfix';
-    if (title.includes('feat') || title.includes('feature')) return 'feature';
-    if (title.includes('refactor')) return 'refactor';
-    if (title.includes('docs') || title.includes('documentation')) return 'documentation';
-    if (title.includes('test')) return 'test';
-    if (title.includes('chore') || title.includes('deps')) return 'chore';
+    // Code that gains symbols adds features; code that loses or moves them is reshaped
+    const changes = Object.values(symbols).flat();
+    const count = (change) => changes.filter((symbol) => symbol.change === change).length;
+    const added = count('added');
+    const removed = count('removed');
+
+    if (changes.length > 0) {
+      if (added > 0 && removed > 0 && Math.abs(added - removed) <= 1) return 'refactor';
+      if (added > removed && changes.some((symbol) => symbol.change === 'added' && symbol.exported)) {
+        return 'feature';
+      }
+      if (removed > added) return 'refactor';
+    }
 
     // Analyze based on changes
     if (stats.totalFiles === 1 && stats.totalChanges < 50) return 'small-change';
@@ -152,52 +229,209 @@ class ContextBuilder {
       .filter(review => review.status === 'completed' && !review.isSuperseded)
       .map(review => ({
         reviewId: review.reviewId,
+        commitSha: review.commitSha,
         createdAt: review.createdAt,
         summary: review.summary,
         feedback: review.feedback || [],
+        previousFindings: review.previousFindings || [],
         metrics: review.metrics,
       }))
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   }
 
   /**
-   * Get related files for better context
+   * Read the changed files at the PR head, largest changes first
+   * @returns {Object} Content by filename; files that couldn't be read are left out
    */
-  async getRelatedFiles(repository, pullRequest, diffAnalysis) {
-    const relatedFiles = new Set();
-    const importPatterns = {
-      javascript: /(?:import|require)\s*\(?['"]([^'"]+)['"]\)?/g,
-      typescript: /(?:import|require)\s*\(?['"]([^'"]+)['"]\)?/g,
-      python: /(?:from\s+(\S+)\s+import|import\s+(\S+))/g,
-      java: /import\s+([\w.]+);/g,
-    };
+  async getSourceFiles(repository, pullRequest, diffAnalysis) {
+    const sources = {};
+    const candidates = Object.entries(diffAnalysis.files)
+      .filter(([, analysis]) => analysis.status !== 'removed' && analysis.patch)
+      .sort(([, a], [, b]) => b.changes - a.changes)
+      .slice(0, MAX_SOURCE_FILES);
+
+    for (const [filename] of candidates) {
+      const content = await this.fetchFile(repository, filename, pullRequest.lastCommitSha);
+      if (content !== null) {
+        sources[filename] = content;
+      }
+    }
 
-    // Analyze imports in changed files
-    for (const [filename, analysis] of Object.entries(diffAnalysis.files)) {
-      if (!analysis.patch) continue;
+    return sources;
+  }
 
-      const ext = this.getFileExtension(filename);
-      const pattern = importPatterns[ext];
-      
-      if (pattern) {
-        const matches = analysis.patch.match(pattern) || [];
-        matches.forEach(match => {
-          // Extract file path from import
-          const importPath = this.extractImportPath(match, ext);
-          if (importPath) {
-            relatedFiles.add(importPath);
-          }
+  /**
+   * File content at a commit, or null when it can't be read or is too large
+   */
+  async fetchFile(repository, filename, ref) {
+    try {
+      const content = await githubService.getFileContent(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        filename,
+        ref
+      );
+
+      return content.length <= MAX_CONTEXT_FILE_LENGTH ? content : null;
+    } catch (error) {
+      logger.warn("Could not read file for review context", {
+        error: error.message,
+        path: filename,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Functions, classes and exports each changed file adds, modifies or removes
+   * @returns {Object} Symbols by filename, see SymbolExtractor.extract
+   */
+  getChangedSymbols(sources, diffAnalysis) {
+    const symbols = {};
+
+    Object.entries(diffAnalysis.files).forEach(([filename, analysis]) => {
+      const found = this.symbolExtractor.extract(filename, analysis, sources[filename] || null);
+      if (found.length > 0) {
+        symbols[filename] = found;
+      }
+    });
+
+    return symbols;
+  }
+
+  /**
+   * The functions and classes each hunk changes, where the hunk doesn't
+   * already show them whole
+   * @returns {Object} Scopes by filename: [{ name, kind, startLine, endLine, code }]
+   */
+  getEnclosingScopes(sources, diffAnalysis) {
+    const scopes = {};
+
+    Object.entries(sources).forEach(([filename, content]) => {
+      const language = getLanguage(filename);
+      if (!this.scopeFinder.supports(language)) return;
+
+      const lines = content.split('\n');
+      const declared = this.scopeFinder.withoutLocals(this.scopeFinder.listScopes(lines, language));
+      const found = new Map();
+
+      (diffAnalysis.files[filename].hunks || []).forEach((hunk) => {
+        const { added, deleted } = this.symbolExtractor.collectChangedLines([hunk]);
+        const hunkEnd = hunk.newStart + hunk.newLines - 1;
+
+        [...added.keys(), ...deleted.map((line) => line.newLine)].forEach((line) => {
+          const scope = this.scopeFinder.innermostScope(declared, line);
+          if (!scope || found.has(scope.startLine)) return;
+          if (scope.startLine >= hunk.newStart && scope.endLine <= hunkEnd) return;
+
+          const shownEnd =
+            scope.endLine - scope.startLine < MAX_SCOPE_LINES ? scope.endLine : scope.startLine;
+
+          found.set(scope.startLine, {
+            ...scope,
+            code: lines
+              .slice(scope.startLine - 1, shownEnd)
+              .map((text, i) => `${scope.startLine + i}: ${text}`)
+              .join('\n'),
+          });
         });
+      });
+
+      if (found.size > 0) {
+        scopes[filename] = [...found.values()];
+      }
+    });
+
+    return scopes;
+  }
+
+  /**
+   * Fetch the repository files the changed files import
+   * @param {Object} sources - Changed file content by filename
+   * @returns {Array} [{ path, importedBy, content }], most imported first
+   */
+  async getRelatedFiles(repository, pullRequest, sources) {
+    const filenames = Object.keys(sources);
+    if (filenames.length === 0) {
+      return [];
+    }
+
+    let tree;
+    try {
+      tree = await githubService.getTree(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        pullRequest.lastCommitSha
+      );
+    } catch (error) {
+      logger.warn("Reviewing without imported files", { error: error.message });
+      return [];
+    }
+
+    const repoPaths = new Set(tree.paths);
+    const importers = new Map();
+
+    filenames.forEach((filename) => {
+      const language = getLanguage(filename);
+
+      this.extractImports(sources[filename], language).forEach((specifier) => {
+        const resolved = this.resolveImport(filename, specifier, language, repoPaths);
+
+        // Changed files are in the diff already
+        if (!resolved || sources[resolved]) return;
+
+        if (!importers.has(resolved)) importers.set(resolved, new Set());
+        importers.get(resolved).add(filename);
+      });
+    });
+
+    const relatedFiles = [];
+    const mostImported = [...importers.entries()]
+      .sort(([, a], [, b]) => b.size - a.size)
+      .slice(0, MAX_RELATED_FILES);
+
+    for (const [relatedPath, importedBy] of mostImported) {
+      const content = await this.fetchFile(repository, relatedPath, pullRequest.lastCommitSha);
+      if (content !== null) {
+        relatedFiles.push({ path: relatedPath, importedBy: [...importedBy], content });
       }
     }
 
-    return Array.from(relatedFiles).slice(0, 10); // Limit to 10 related files
+    return relatedFiles;
+  }
+
+  /**
+   * Entries of the repository's knowledge index that look like the changed
+   * code, leaving out files the prompt shows already
+   * @returns {Array} See RepositoryIndexService.retrieve
+   */
+  async getKnowledge(repository, diffAnalysis, relatedFiles) {
+    const filenames = Object.keys(diffAnalysis.files);
+    const text = Object.entries(diffAnalysis.files)
+      .map(([filename, analysis]) =>
+        [
+          filename,
+          ...(analysis.hunks || []).flatMap((hunk) =>
+            hunk.lines
+              .filter((line) => line.type === 'addition' || line.type === 'context')
+              .map((line) => line.content.substring(1))
+          ),
+        ].join('\n')
+      )
+      .join('\n');
+
+    return repositoryIndexService.retrieve(repository, text, [
+      ...filenames,
+      ...relatedFiles.map((file) => file.path),
+    ]);
   }
 
   /**
    * Build re-review context
    */
-  buildReReviewContext(pullRequest) {
+  buildReReviewContext(pullRequest, previousFindings = null) {
     const previousReviews = this.getPreviousReviews(pullRequest);
     
     if (previousReviews.length === 0) {
@@ -205,9 +439,13 @@ class ContextBuilder {
     }
 
     const lastReview = previousReviews[0];
-    const unresolvedIssues = lastReview.feedback.filter(
-      feedback => feedback.type === 'issue' && feedback.severity !== 'low'
-    );
+
+    // Prefer tracked findings, which know whether the issue was fixed since
+    const unresolvedIssues = previousFindings
+      ? previousFindings.filter(finding => finding.status === 'still_present')
+      : lastReview.feedback.filter(
+        feedback => feedback.type === 'issue' && feedback.severity !== 'low'
+      );
 
     return {
       lastReviewDate: lastReview.createdAt,
@@ -218,53 +456,130 @@ class ContextBuilder {
     };
   }
 
+  /**
+   * Collect earlier feedback on the given files, newest review first
+   */
+  getPriorFeedback(pullRequest, filenames, limit = 20) {
+    const touched = new Set(filenames);
+    const seen = new Set();
+    const priorFeedback = [];
+
+    for (const review of this.getPreviousReviews(pullRequest)) {
+      for (const feedback of review.feedback) {
+        if (!touched.has(feedback.path)) continue;
+
+        const key = `${feedback.path}:${feedback.line}:${feedback.comment}`;
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        priorFeedback.push({
+          path: feedback.path,
+          line: feedback.line,
+          side: feedback.side,
+          type: feedback.type,
+          severity: feedback.severity,
+          comment: feedback.comment,
+        });
+      }
+    }
+
+    return priorFeedback.slice(0, limit);
+  }
+
   /**
    * Get file extension
    */
   getFileExtension(filename) {
-    const parts = filename.split('.');
-    if (parts.length > 1) {
-      const ext = parts[parts.length - 1].toLowerCase();
-      // Map common extensions
-      const extMap = {
-        js: 'javascript',
-        jsx: 'javascript',
-        ts: 'typescript',
-        tsx: 'typescript',
-        py: 'python',
-        java: 'java',
-        go: 'go',
-        rb: 'ruby',
-        php: 'php',
-        cs: 'csharp',
-        cpp: 'cpp',
-        c: 'c',
-      };
-      return extMap[ext] || ext;
-    }
-    return 'unknown';
+    return getLanguage(filename) || 'unknown';
   }
 
   /**
-   * Extract import path from import statement
+   * Module specifiers a file imports
    */
-  extractImportPath(importStatement, language) {
-    let match;
-    
+  extractImports(content, language) {
+    const specifiers = [];
+    const collect = (pattern, handle) => {
+      for (const match of content.matchAll(pattern)) handle(match);
+    };
+
     switch (language) {
       case 'javascript':
       case 'typescript':
-        match = importStatement.match(/['"]([^'"]+)['"]/);
-        return match ? match[1] : null;
-        
+        collect(
+          /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"]([^'"]+)['"]/g,
+          (match) => specifiers.push(match[1])
+        );
+        break;
+
       case 'python':
-        match = importStatement.match(/(?:from\s+(\S+)|import\s+(\S+))/);
-        return match ? (match[1] || match[2]) : null;
-        
+        collect(/^\s*from\s+(\.*[\w.]*)\s+import\s+(\([^)]*\)|.*)/gm, (match) => {
+          const module = match[1];
+          specifiers.push(module);
+
+          // `from . import views` imports modules, not names
+          if (/^\.+$/.test(module)) {
+            match[2].replace(/[()]/g, '').split(',').forEach((name) => {
+              const importedName = name.trim().split(/\s+/)[0];
+              if (importedName) specifiers.push(`${module}${importedName}`);
+            });
+          }
+        });
+        collect(/^\s*import\s+([\w.]+)/gm, (match) => specifiers.push(match[1]));
+        break;
+
       case 'java':
-        match = importStatement.match(/import\s+([\w.]+);/);
-        return match ? match[1].replace(/\./g, '/') : null;
-        
+        collect(/^\s*import\s+(?:static\s+)?([\w.]+)\s*;/gm, (match) => specifiers.push(match[1]));
+        break;
+
+      default:
+        break;
+    }
+
+    return [...new Set(specifiers)];
+  }
+
+  /**
+   * Repository path of an imported module, or null for packages and
+   * modules that aren't in the repository
+   */
+  resolveImport(fromFile, specifier, language, repoPaths) {
+    const find = (candidates) => candidates.find((candidate) => repoPaths.has(candidate)) || null;
+    const directory = path.posix.dirname(fromFile);
+
+    switch (language) {
+      case 'javascript':
+      case 'typescript': {
+        if (!specifier.startsWith('.')) return null;
+
+        const base = path.posix.join(directory, specifier);
+        // TypeScript imports compiled names: "./util.js" is util.ts
+        const stem = base.replace(/\.[cm]?js$/, '');
+
+        return find([
+          base,
+          ...SCRIPT_EXTENSIONS.map((ext) => stem + ext),
+          ...SCRIPT_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+        ]);
+      }
+
+      case 'python': {
+        const dots = specifier.match(/^\.*/)[0].length;
+        const modulePath = specifier.slice(dots).replace(/\./g, '/');
+        const bases = dots > 0
+          ? [path.posix.join(directory, ...Array(dots - 1).fill('..'), modulePath)]
+          : [modulePath, `src/${modulePath}`];
+
+        return find(bases.flatMap((base) => [`${base}.py`, `${base}/__init__.py`]));
+      }
+
+      case 'java': {
+        const suffix = `${specifier.replace(/\./g, '/')}.java`;
+        for (const repoPath of repoPaths) {
+          if (repoPath === suffix || repoPath.endsWith(`/${suffix}`)) return repoPath;
+        }
+        return null;
+      }
+
       default:
         return null;
     }
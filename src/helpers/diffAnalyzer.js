@@ -1,5 +1,5 @@
 // helpers/diffAnalyzer.js - Fixed to handle all lines, not just additions
-const logger = require("../utils/logger");
+const crypto = require("crypto");
 
 class DiffAnalyzer {
   /**
@@ -39,7 +39,10 @@ class DiffAnalyzer {
       additions: file.additions,
       deletions: file.deletions,
       changes: file.changes,
+      // Keyed by new-file line (RIGHT side)
       lineMapping: {},
+      // Keyed by old-file line (LEFT side): deleted and context lines
+      oldLineMapping: {},
       hunks: [],
       patch: file.patch,
     };
@@ -52,12 +55,14 @@ class DiffAnalyzer {
     const hunks = this.parseHunks(file.patch);
     analysis.hunks = hunks;
 
-    // Create a mapping for ALL visible lines in the new file
-    hunks.forEach((hunk) => {
-      analysis.lineMapping = {
-        ...analysis.lineMapping,
-        ...this.createLineMapping(hunk),
-      };
+    // Map every visible line on both sides of the diff
+    hunks.forEach((hunk, hunkIndex) => {
+      const { lineMapping, oldLineMapping } = this.createLineMapping(
+        hunk,
+        hunkIndex
+      );
+      Object.assign(analysis.lineMapping, lineMapping);
+      Object.assign(analysis.oldLineMapping, oldLineMapping);
     });
 
     return analysis;
@@ -81,6 +86,7 @@ class DiffAnalyzer {
             oldLines: parseInt(match[2] || "1"),
             newStart: parseInt(match[3]),
             newLines: parseInt(match[4] || "1"),
+            header: line,
             headerLine: index,
             lines: [],
           };
@@ -99,46 +105,106 @@ class DiffAnalyzer {
   }
 
   /**
-   * Creates a mapping from actual line numbers to diff positions
-   * Now includes ALL lines (additions, deletions, and context)
+   * Renders a hunk back into unified diff text
+   */
+  formatHunk(hunk) {
+    return [hunk.header, ...hunk.lines.map((line) => line.content)].join("\n");
+  }
+
+  /**
+   * Renders a list of hunks into a patch
+   */
+  renderPatch(hunks) {
+    return hunks.map((hunk) => this.formatHunk(hunk)).join("\n");
+  }
+
+  /**
+   * Cuts lines [start, end) out of a hunk as a valid hunk of its own,
+   * with a header whose line numbers match the slice
+   */
+  sliceHunk(hunk, start, end) {
+    let oldStart = hunk.oldStart;
+    let newStart = hunk.newStart;
+
+    const inOld = (line) => line.type === "deletion" || line.type === "context";
+    const inNew = (line) => line.type === "addition" || line.type === "context";
+
+    hunk.lines.slice(0, start).forEach((line) => {
+      if (inOld(line)) oldStart++;
+      if (inNew(line)) newStart++;
+    });
+
+    const lines = hunk.lines.slice(start, end);
+    const oldLines = lines.filter(inOld).length;
+    const newLines = lines.filter(inNew).length;
+
+    return {
+      ...hunk,
+      oldStart,
+      oldLines,
+      newStart,
+      newLines,
+      header: `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`,
+      lines,
+    };
+  }
+
+  /**
+   * Creates mappings from actual line numbers to diff positions, one for
+   * the new file (additions and context) and one for the old file
+   * (deletions and context). hunkIndex lets callers check that a
+   * multi-line range stays inside one hunk, as GitHub requires.
    */
-  createLineMapping(hunk) {
-    const mapping = {};
+  createLineMapping(hunk, hunkIndex = 0) {
+    const lineMapping = {};
+    const oldLineMapping = {};
     let currentOldLine = hunk.oldStart;
     let currentNewLine = hunk.newStart;
     let diffPosition = hunk.headerLine + 1;
 
     hunk.lines.forEach((line) => {
+      const entry = {
+        diffPosition: diffPosition,
+        type: line.type,
+        content: line.content,
+        hash: this.hashLine(line.content),
+        hunkIndex,
+      };
+
       if (line.type === "addition") {
         // New lines added in this version
-        mapping[currentNewLine] = {
-          diffPosition: diffPosition,
-          type: "addition",
-          content: line.content,
-          oldLine: null,
-        };
+        lineMapping[currentNewLine] = { ...entry, oldLine: null };
         currentNewLine++;
         diffPosition++;
       } else if (line.type === "deletion") {
-        // Lines that were removed (we can still comment on the context around them)
-        // These don't have a position in the new file
+        // Removed lines only exist on the LEFT side of the diff
+        oldLineMapping[currentOldLine] = { ...entry, newLine: null };
         currentOldLine++;
         diffPosition++;
       } else if (line.type === "context") {
-        // Unchanged lines - we can comment on these too
-        mapping[currentNewLine] = {
-          diffPosition: diffPosition,
-          type: "context",
-          content: line.content,
-          oldLine: currentOldLine,
-        };
+        // Unchanged lines can be commented on from either side
+        lineMapping[currentNewLine] = { ...entry, oldLine: currentOldLine };
+        oldLineMapping[currentOldLine] = { ...entry, newLine: currentNewLine };
         currentOldLine++;
         currentNewLine++;
         diffPosition++;
       }
     });
 
-    return mapping;
+    return { lineMapping, oldLineMapping };
+  }
+
+  /**
+   * Hash a diff line's code, ignoring the diff prefix and whitespace changes,
+   * so a finding can be recognised after its line moves
+   */
+  hashLine(content) {
+    const normalized = content.substring(1).trim().replace(/\s+/g, " ");
+    return crypto
+      .createHash("sha1")
+      .update(normalized)
+      .digest("hex")
+      .substring(0, 16);
   }
 
   /**
@@ -151,40 +217,6 @@ class DiffAnalyzer {
     return "other";
   }
 
-  /**
-   * Finds the diff position for a specific line number
-   * Now works for all lines, not just additions
-   */
-  findDiffPosition(fileAnalysis, lineNumber) {
-    const lineData = fileAnalysis.lineMapping[lineNumber];
-
-    if (!lineData) {
-      // If we don't have an exact match, find the closest line we can comment on
-      const availableLines = Object.keys(fileAnalysis.lineMapping)
-        .map(Number)
-        .sort((a, b) => a - b);
-      const closestLine = availableLines.reduce((prev, curr) => {
-        return Math.abs(curr - lineNumber) < Math.abs(prev - lineNumber)
-          ? curr
-          : prev;
-      });
-
-      if (closestLine) {
-        logger.warn(
-          `Line ${lineNumber} not in diff, using closest line ${closestLine}`
-        );
-        return fileAnalysis.lineMapping[closestLine].diffPosition;
-      }
-
-      logger.warn(
-        `No suitable line found for ${lineNumber} in ${fileAnalysis.filename}`
-      );
-      return null;
-    }
-
-    return lineData.diffPosition;
-  }
-
   /**
    * Gets the actual code at a specific line (for context)
    */
@@ -0,0 +1,200 @@
+// helpers/findingTracker.js - Follows earlier AI findings across new pushes
+const logger = require("../utils/logger");
+
+// How far (in lines) a finding may move and still be matched by its hash
+const MAX_LINE_DRIFT = 30;
+
+class FindingTracker {
+  /**
+   * Collect the findings a re-review should check: the last review's
+   * feedback plus anything it still reported as open from before
+   */
+  getOpenFindings(lastReview) {
+    if (!lastReview) {
+      return [];
+    }
+
+    const findings = (lastReview.feedback || []).map((feedback) => ({
+      path: feedback.path,
+      side: feedback.side,
+      line: feedback.line,
+      comment: feedback.comment,
+      type: feedback.type,
+      severity: feedback.severity,
+      category: feedback.category,
+      contentHash: feedback.contentHash,
+      firstSeenReviewId: lastReview.reviewId,
+    }));
+
+    (lastReview.previousFindings || [])
+      .filter((finding) => finding.status === "still_present")
+      .forEach((finding) => {
+        findings.push({
+          path: finding.path,
+          side: finding.side,
+          line: finding.currentLine || finding.line,
+          comment: finding.comment,
+          type: finding.type,
+          severity: finding.severity,
+          category: finding.category,
+          contentHash: finding.contentHash,
+          firstSeenReviewId: finding.firstSeenReviewId,
+        });
+      });
+
+    // The model may have repeated an earlier finding verbatim
+    const seen = new Set();
+    return findings.filter((finding) => {
+      const key = `${finding.path}:${finding.contentHash || finding.line}:${finding.comment}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Give each finding a status against the current PR diff.
+   * deltaAnalysis holds only the changes since the last review, when known.
+   */
+  trackFindings(findings, fullDiffAnalysis, deltaAnalysis = null) {
+    const tracked = findings.map((finding) => ({
+      ...finding,
+      ...this.classifyFinding(finding, fullDiffAnalysis, deltaAnalysis),
+    }));
+
+    const counts = this.countByStatus(tracked);
+    logger.info("Tracked previous findings", counts);
+
+    return tracked;
+  }
+
+  /**
+   * Decide whether a single finding was resolved, is still present or is outdated
+   */
+  classifyFinding(finding, fullDiffAnalysis, deltaAnalysis) {
+    const fileAnalysis = fullDiffAnalysis.files[finding.path];
+
+    // The file left the PR (reverted, renamed or deleted)
+    if (!fileAnalysis || fileAnalysis.status === "removed") {
+      return { status: "outdated", currentLine: null };
+    }
+
+    if (finding.side === "LEFT") {
+      return this.classifyRemovedLineFinding(finding, fileAnalysis);
+    }
+
+    const deltaFile = deltaAnalysis ? deltaAnalysis.files[finding.path] : null;
+
+    // Nothing was pushed to this file since the finding was made
+    if (deltaAnalysis && !deltaFile) {
+      return { status: "still_present", currentLine: finding.line };
+    }
+
+    const { expectedLine, touched } = deltaFile
+      ? this.applyLineDrift(deltaFile.hunks, finding.line)
+      : { expectedLine: finding.line, touched: true };
+
+    if (finding.contentHash) {
+      const currentLine = this.findLineByHash(
+        fileAnalysis,
+        finding.contentHash,
+        expectedLine
+      );
+
+      if (currentLine) {
+        return { status: "still_present", currentLine };
+      }
+    } else if (!deltaFile) {
+      // Without a hash or the pushed changes there is nothing to go on
+      return { status: "outdated", currentLine: null };
+    } else if (!touched) {
+      // Older findings have no hash; an untouched line is assumed unchanged
+      return { status: "still_present", currentLine: expectedLine };
+    }
+
+    // The commented code was edited away, or it simply dropped out of the diff
+    return { status: touched ? "resolved" : "outdated", currentLine: null };
+  }
+
+  /**
+   * A finding on removed code stands as long as the PR still removes that
+   * line; old-file line numbers only move if the base branch changes
+   */
+  classifyRemovedLineFinding(finding, fileAnalysis) {
+    const currentLine = finding.contentHash
+      ? this.findLineByHash(
+          fileAnalysis,
+          finding.contentHash,
+          finding.line,
+          fileAnalysis.oldLineMapping || {}
+        )
+      : finding.line;
+
+    const lineData = currentLine && fileAnalysis.oldLineMapping?.[currentLine];
+    if (lineData && lineData.type === "deletion") {
+      return { status: "still_present", currentLine };
+    }
+
+    // The removal was reverted
+    return { status: "resolved", currentLine: null };
+  }
+
+  /**
+   * Shift a line number by the hunks that were pushed above it, and report
+   * whether a hunk rewrote the line itself
+   */
+  applyLineDrift(hunks, line) {
+    let offset = 0;
+    let touched = false;
+
+    for (const hunk of hunks) {
+      // A hunk that only inserts lines puts them after line oldStart
+      const oldEnd = hunk.oldStart + Math.max(hunk.oldLines, 1);
+
+      if (oldEnd <= line) {
+        offset += hunk.newLines - hunk.oldLines;
+      } else if (hunk.oldLines > 0 && hunk.oldStart <= line) {
+        touched = true;
+      }
+    }
+
+    return { expectedLine: line + offset, touched };
+  }
+
+  /**
+   * Find the diff line with the given hash closest to where it is expected
+   */
+  findLineByHash(
+    fileAnalysis,
+    contentHash,
+    expectedLine,
+    mapping = fileAnalysis.lineMapping
+  ) {
+    let bestLine = null;
+
+    Object.entries(mapping).forEach(([lineNumber, lineData]) => {
+      const line = Number(lineNumber);
+      const distance = Math.abs(line - expectedLine);
+
+      if (lineData.hash !== contentHash || distance > MAX_LINE_DRIFT) return;
+
+      if (bestLine === null || distance < Math.abs(bestLine - expectedLine)) {
+        bestLine = line;
+      }
+    });
+
+    return bestLine;
+  }
+
+  countByStatus(findings) {
+    return findings.reduce(
+      (counts, finding) => {
+        counts[finding.status]++;
+        return counts;
+      },
+      { resolved: 0, still_present: 0, outdated: 0 }
+    );
+  }
+}
+
+module.exports = FindingTracker;
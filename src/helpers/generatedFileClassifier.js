@@ -0,0 +1,234 @@
+// helpers/generatedFileClassifier.js - Recognizes changed files not worth reviewing
+const path = require("path");
+const githubService = require("../services/githubService");
+const logger = require("../utils/logger");
+const { matchesPattern, findMatch } = require("../utils/pathFilter");
+
+const ATTRIBUTES_PATH = ".gitattributes";
+
+const LOCKFILES = new Set([
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "composer.lock",
+  "Gemfile.lock",
+  "Cargo.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "uv.lock",
+  "go.sum",
+  "mix.lock",
+  "pubspec.lock",
+  "Podfile.lock",
+  "packages.lock.json",
+  "flake.lock",
+]);
+
+// Checked in order; the first kind whose patterns match wins
+const PATH_PATTERNS = [
+  {
+    kind: "vendored",
+    patterns: ["**/vendor/", "**/node_modules/", "**/third_party/", "**/bower_components/", "**/Pods/"],
+  },
+  { kind: "minified", patterns: ["**/*.min.js", "**/*.min.css", "**/*.min.mjs", "**/*.map"] },
+  { kind: "snapshot", patterns: ["**/__snapshots__/", "**/*.snap"] },
+  {
+    kind: "migration",
+    patterns: ["**/migrations/", "**/db/migrate/", "**/db/schema.rb", "**/db/structure.sql"],
+  },
+  {
+    kind: "generated",
+    patterns: [
+      "**/*.pb.go",
+      "**/*_pb2.py",
+      "**/*_pb2_grpc.py",
+      "**/*.pb.ts",
+      "**/*.generated.*",
+      "**/*.g.dart",
+      "**/*.freezed.dart",
+      "**/*.Designer.cs",
+    ],
+  },
+];
+
+const BINARY_EXTENSIONS = new Set([
+  "png", "jpg", "jpeg", "gif", "bmp", "ico", "webp", "tiff", "psd",
+  "pdf", "zip", "gz", "tgz", "bz2", "xz", "7z", "rar", "jar", "war",
+  "woff", "woff2", "ttf", "otf", "eot",
+  "mp3", "mp4", "mov", "avi", "wav", "ogg", "webm",
+  "exe", "dll", "so", "dylib", "class", "o", "a", "wasm", "pyc",
+]);
+
+// Markers code generators put at the top of their output
+const GENERATED_SIGNATURES = [
+  /@generated\b/,
+  /\bCode generated\b.*\bDO NOT EDIT\b/i,
+  /<auto-generated/i,
+  /\b(?:auto-?generated|automatically generated)\b[\s\S]{0,80}\bdo not (?:edit|modify)\b/i,
+  /\bdo not (?:edit|modify)\b[\s\S]{0,80}\b(?:auto-?generated|automatically generated)\b/i,
+];
+
+// Only the start of the patch is searched for signatures
+const SIGNATURE_LINES = 30;
+
+// Hand-written code doesn't have lines this long
+const MINIFIED_LINE_LENGTH = 1000;
+
+class GeneratedFileClassifier {
+  /**
+   * Read the linguist attributes from .gitattributes on the PR's base branch
+   * @returns {Array} Rules in file order, see parseAttributes
+   */
+  async loadAttributes(repository, pullRequest) {
+    try {
+      const content = await githubService.getFileContent(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        ATTRIBUTES_PATH,
+        pullRequest.baseBranch
+      );
+      return this.parseAttributes(content);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        logger.warn(`Could not read ${ATTRIBUTES_PATH}`, { error: error.message });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Parse the linguist-generated and linguist-vendored attributes
+   * @returns {Array} [{ pattern, generated, vendored }] - true, false, or
+   *   undefined when the line doesn't set the attribute
+   */
+  parseAttributes(content) {
+    const rules = [];
+
+    (content || "").split("\n").forEach((raw) => {
+      const line = raw.trim();
+      if (!line || line.startsWith("#")) return;
+
+      const [pattern, ...attributes] = line.split(/\s+/);
+      const rule = { pattern: this.toGlob(pattern) };
+
+      attributes.forEach((attribute) => {
+        const match = attribute.match(/^(-|!)?linguist-(generated|vendored)(?:=(\w+))?$/);
+        if (!match) return;
+
+        const [, prefix, name, value] = match;
+        rule[name] = prefix ? false : value === undefined || value === "true";
+      });
+
+      if (rule.generated !== undefined || rule.vendored !== undefined) {
+        rules.push(rule);
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Like .gitignore, a .gitattributes pattern without a slash matches at any depth
+   */
+  toGlob(pattern) {
+    const trimmed = pattern.replace(/\/+$/, "");
+    return trimmed.includes("/") ? pattern : `**/${pattern}`;
+  }
+
+  /**
+   * Decide whether a changed file is generated, vendored, a lockfile or binary
+   * @param {Object} file - File from getPullRequestFiles
+   * @param {Array} attributes - Rules from parseAttributes
+   * @returns {string|null} Kind of file, or null when it should be reviewed
+   */
+  classify(file, attributes = []) {
+    const filename = file.filename;
+
+    // The last line setting an attribute wins, and beats the heuristics
+    const explicit = {};
+    attributes.forEach((rule) => {
+      if (!matchesPattern(filename, rule.pattern)) return;
+      if (rule.generated !== undefined) explicit.generated = rule.generated;
+      if (rule.vendored !== undefined) explicit.vendored = rule.vendored;
+    });
+
+    if (explicit.generated) return "generated";
+    if (explicit.vendored) return "vendored";
+    if (explicit.generated === false || explicit.vendored === false) return null;
+
+    if (LOCKFILES.has(path.basename(filename))) return "lockfile";
+
+    const byPath = PATH_PATTERNS.find(({ patterns }) =>
+      patterns.some((pattern) => matchesPattern(filename, pattern))
+    );
+    if (byPath) return byPath.kind;
+
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    if (BINARY_EXTENSIONS.has(extension)) return "binary";
+
+    return this.classifyContent(file);
+  }
+
+  /**
+   * Look at the added lines for generator markers and minified code
+   */
+  classifyContent(file) {
+    if (!file.patch) {
+      // GitHub sends no patch for binaries. Renames have none either, but
+      // only binaries are added or modified without changing a line.
+      const changed = file.status === "added" || file.status === "modified";
+      return changed && !file.additions && !file.deletions ? "binary" : null;
+    }
+
+    const added = file.patch
+      .split("\n")
+      .filter((line) => line.startsWith("+"))
+      .map((line) => line.substring(1));
+
+    const head = added.slice(0, SIGNATURE_LINES).join("\n");
+    if (GENERATED_SIGNATURES.some((signature) => signature.test(head))) {
+      return "generated";
+    }
+
+    if (added.some((line) => line.length > MINIFIED_LINE_LENGTH)) {
+      return "minified";
+    }
+
+    return null;
+  }
+
+  /**
+   * Split changed files into those to review and those to skip
+   * @param {Array} files - Files from getPullRequestFiles
+   * @param {Array} attributes - Rules from parseAttributes
+   * @param {Object} options - { skip, review } from configuration.generatedFiles
+   * @returns {Object} { kept: [file], skipped: [{ path, kind }] }
+   */
+  partition(files, attributes, options = {}) {
+    if (options.skip === false) {
+      return { kept: files, skipped: [] };
+    }
+
+    const kept = [];
+    const skipped = [];
+
+    files.forEach((file) => {
+      const kind = findMatch(file.filename, options.review || [])
+        ? null
+        : this.classify(file, attributes);
+
+      if (kind) {
+        skipped.push({ path: file.filename, kind });
+      } else {
+        kept.push(file);
+      }
+    });
+
+    return { kept, skipped };
+  }
+}
+
+module.exports = GeneratedFileClassifier;
@@ -0,0 +1,162 @@
+// helpers/repositoryConfigLoader.js - Reads .aireview.yml from the PR's base branch
+const yaml = require("js-yaml");
+const Ajv = require("ajv");
+const githubService = require("../services/githubService");
+const { REPOSITORY_PROVIDER_NAMES } = require("../services/llm");
+const logger = require("../utils/logger");
+
+const CONFIG_PATH = ".aireview.yml";
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+
+const configFileSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    paths: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        include: stringList,
+        exclude: stringList,
+      },
+    },
+    severityThreshold: { enum: SEVERITIES },
+    focus: stringList,
+    instructions: { type: "string", maxLength: 4000 },
+    language: { type: "string", minLength: 1 },
+    generated: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        skip: { type: "boolean" },
+        review: stringList,
+      },
+    },
+    provider: { enum: REPOSITORY_PROVIDER_NAMES },
+    model: { type: "string", minLength: 1 },
+  },
+};
+
+class RepositoryConfigLoader {
+  constructor() {
+    this.validate = new Ajv({ allErrors: true }).compile(configFileSchema);
+  }
+
+  /**
+   * Load the config file. The base branch is used so a PR can't change how
+   * it is reviewed itself. An invalid file is ignored as a whole.
+   * @returns {Object} { config, errors } - config is null without a valid file
+   */
+  async load(repository, pullRequest) {
+    let content;
+
+    try {
+      content = await githubService.getFileContent(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        CONFIG_PATH,
+        pullRequest.baseBranch
+      );
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        logger.warn(`Could not read ${CONFIG_PATH}`, { error: error.message });
+      }
+      return { config: null, errors: [] };
+    }
+
+    return this.parse(content);
+  }
+
+  /**
+   * Parse and validate the file's YAML
+   * @returns {Object} { config, errors }
+   */
+  parse(content) {
+    let config;
+
+    try {
+      config = yaml.load(content);
+    } catch (error) {
+      const line = error.mark ? ` on line ${error.mark.line + 1}` : "";
+      return {
+        config: null,
+        errors: [`Invalid YAML${line}: ${error.reason || error.message}`],
+      };
+    }
+
+    // An empty file configures nothing
+    if (config === undefined || config === null) {
+      return { config: null, errors: [] };
+    }
+
+    if (!this.validate(config)) {
+      return {
+        config: null,
+        errors: this.validate.errors.map((error) => this.describeError(error)),
+      };
+    }
+
+    return { config, errors: [] };
+  }
+
+  describeError(error) {
+    const path = error.instancePath.replace(/^\//, "").replace(/\//g, ".");
+    const where = path ? `\`${path}\`` : "The file";
+
+    if (error.keyword === "additionalProperties") {
+      const key = path
+        ? `${path}.${error.params.additionalProperty}`
+        : error.params.additionalProperty;
+      return `Unknown key \`${key}\``;
+    }
+
+    if (error.keyword === "enum") {
+      return `${where} must be one of ${error.params.allowedValues
+        .map((value) => `\`${value}\``)
+        .join(", ")}`;
+    }
+
+    return `${where} ${error.message}`;
+  }
+
+  /**
+   * Merge the file's settings over the stored repository configuration
+   */
+  merge(configuration, config) {
+    if (!config) {
+      return configuration;
+    }
+
+    const merged = { ...configuration };
+
+    if (config.paths?.include) merged.includedPaths = config.paths.include;
+    if (config.paths?.exclude) merged.excludedPaths = config.paths.exclude;
+    if (config.severityThreshold) merged.severityThreshold = config.severityThreshold;
+    if (config.focus) merged.focusAreas = config.focus;
+    if (config.instructions) merged.customInstructions = config.instructions;
+    if (config.language) merged.language = config.language;
+    if (config.generated) {
+      merged.generatedFiles = { ...configuration.generatedFiles, ...config.generated };
+    }
+
+    if (config.provider || config.model) {
+      merged.llm = { ...configuration.llm };
+      if (config.provider && config.provider !== merged.llm.provider) {
+        // The stored model belongs to the other provider
+        merged.llm.provider = config.provider;
+        merged.llm.model = undefined;
+      }
+      if (config.model) merged.llm.model = config.model;
+    }
+
+    return merged;
+  }
+}
+
+RepositoryConfigLoader.CONFIG_PATH = CONFIG_PATH;
+
+module.exports = RepositoryConfigLoader;
@@ -3,13 +3,35 @@ const PullRequest = require("../models/PullRequest");
 const logger = require("../utils/logger");
 
 class ReviewManager {
-  async initializeReview(pullRequest, isReReview) {
+  createReviewId(pullRequest) {
+    return `review_${Date.now()}_${pullRequest.reviews.length + 1}`;
+  }
+
+  async initializeReview(pullRequest, isReReview, existingReviewId = null) {
     try {
-      const reviewId = `review_${Date.now()}_${pullRequest.reviews.length + 1}`;
+      // Reuse a review queued ahead of time (or by a previous attempt)
+      const existingReview = existingReviewId
+        ? pullRequest.reviews.find((r) => r.reviewId === existingReviewId)
+        : null;
+
+      if (existingReview) {
+        existingReview.status = "in_progress";
+        existingReview.commitSha = pullRequest.lastCommitSha;
+        existingReview.isReReview = !!isReReview;
+        existingReview.error = undefined;
+        existingReview.completedAt = undefined;
+        await pullRequest.save();
+
+        return existingReviewId;
+      }
+
+      const reviewId = existingReviewId || this.createReviewId(pullRequest);
 
       const newReview = {
         reviewId: reviewId,
         status: "in_progress",
+        commitSha: pullRequest.lastCommitSha,
+        isReReview: !!isReReview,
         createdAt: new Date(),
         feedback: [],
         metrics: {
@@ -58,6 +80,17 @@ class ReviewManager {
       pullRequest.reviews[reviewIndex].metrics = this.processMetrics(
         analysis.metrics
       );
+      pullRequest.reviews[reviewIndex].reviewedFromSha =
+        analysis.reviewedFromSha;
+      pullRequest.reviews[reviewIndex].previousFindings =
+        analysis.previousFindings || [];
+      pullRequest.reviews[reviewIndex].unanalyzedFiles =
+        analysis.unanalyzedFiles || [];
+      pullRequest.reviews[reviewIndex].skippedFiles =
+        analysis.skippedFiles || [];
+      pullRequest.reviews[reviewIndex].llmMetrics = analysis.llmMetrics;
+      pullRequest.reviews[reviewIndex].anchorStats = analysis.anchorStats;
+      pullRequest.reviews[reviewIndex].reviewEvent = analysis.reviewEvent;
 
       await pullRequest.save();
       return pullRequest.reviews[reviewIndex];
@@ -77,9 +110,12 @@ class ReviewManager {
       .map((comment) => ({
         path: comment.file,
         line: parseInt(comment.line) || 0,
+        side: comment.side,
         comment: comment.comment,
         type: this.mapCommentType(comment.type),
         severity: this.mapSeverity(comment.severity),
+        category: comment.category,
+        contentHash: comment.contentHash,
       }));
   }
 
@@ -134,7 +170,7 @@ class ReviewManager {
     return Math.min(Math.max(num, 1), 10);
   }
 
-  async markReviewFailed(pullRequestId, reviewId, errorMessage) {
+  async markReviewFailed(pullRequestId, reviewId, errorMessage, llmMetrics) {
     try {
       if (!reviewId) return;
 
@@ -149,6 +185,9 @@ class ReviewManager {
       pullRequest.reviews[reviewIndex].status = "failed";
       pullRequest.reviews[reviewIndex].completedAt = new Date();
       pullRequest.reviews[reviewIndex].error = errorMessage;
+      if (llmMetrics) {
+        pullRequest.reviews[reviewIndex].llmMetrics = llmMetrics;
+      }
 
       await pullRequest.save();
     } catch (error) {
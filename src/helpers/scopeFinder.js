@@ -0,0 +1,216 @@
+// helpers/scopeFinder.js - Finds the functions and classes declared in a file
+
+// Declarations that open a scope, per language. Each pattern captures the
+// declared name; the first matching pattern names the scope's kind.
+const DECLARATIONS = {
+  javascript: [
+    { kind: "function", pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(\w+)/ },
+    { kind: "class", pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+(\w+)/ },
+    { kind: "function", pattern: /^\s*(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=.*(?:=>|\bfunction\b)/ },
+    {
+      kind: "method",
+      pattern: /^\s*(?:(?:public|private|protected|static|async|get|set|override|readonly)\s+)*(?!(?:if|for|while|switch|catch|return|function)\b)(\w+)\s*(?:<[^>]*>)?\([^)]*\)\s*(?::\s*[^{=]+)?\{\s*$/,
+    },
+  ],
+  python: [
+    { kind: "function", pattern: /^\s*(?:async\s+)?def\s+(\w+)/ },
+    { kind: "class", pattern: /^\s*class\s+(\w+)/ },
+  ],
+  go: [
+    { kind: "function", pattern: /^func\s+(?:\([^)]*\)\s*)?(\w+)/ },
+    { kind: "type", pattern: /^type\s+(\w+)\s+(?:struct|interface)\b/ },
+  ],
+  java: [
+    {
+      kind: "class",
+      pattern: /^\s*(?:(?:public|private|protected|static|final|abstract|sealed)\s+)*(?:class|interface|enum|record)\s+(\w+)/,
+    },
+    {
+      kind: "method",
+      pattern: /^\s*(?:@\w+\s+)*(?:(?:public|private|protected|static|final|abstract|synchronized|default)\s+)+[\w<>[\],.?\s]+?\s+(\w+)\s*\(/,
+    },
+  ],
+};
+DECLARATIONS.typescript = DECLARATIONS.javascript;
+
+// Lines after a brace-language declaration in which its `{` must appear
+const MAX_SIGNATURE_LINES = 5;
+
+class ScopeFinder {
+  supports(language) {
+    return Boolean(DECLARATIONS[language]);
+  }
+
+  /**
+   * Every function, method, class and type declared in a file
+   * @param {Array<string>} lines - File content split into lines
+   * @param {string} language - Name from utils/languages
+   * @returns {Array} [{ name, kind, startLine, endLine }] in file order
+   */
+  listScopes(lines, language) {
+    if (!this.supports(language)) {
+      return [];
+    }
+
+    const scopes = [];
+    lines.forEach((text, index) => {
+      const declaration = this.matchDeclaration(text, language);
+      if (!declaration) return;
+
+      const endIndex = this.findEnd(lines, index, language);
+      scopes.push({
+        ...declaration,
+        startLine: index + 1,
+        endLine: (endIndex === null ? index : endIndex) + 1,
+      });
+    });
+
+    return scopes;
+  }
+
+  /**
+   * The declaration a line opens, if any
+   * @returns {Object|null} { name, kind }
+   */
+  matchDeclaration(text, language) {
+    for (const { kind, pattern } of DECLARATIONS[language] || []) {
+      const match = (text || "").match(pattern);
+      if (match) {
+        return { name: match[1], kind };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop functions declared inside other functions; changing them changes
+   * the function around them
+   */
+  withoutLocals(scopes) {
+    const functions = scopes.filter((scope) => scope.kind === "function" || scope.kind === "method");
+
+    return scopes.filter(
+      (scope) =>
+        !functions.some(
+          (outer) =>
+            outer !== scope && outer.startLine < scope.startLine && outer.endLine >= scope.endLine
+        )
+    );
+  }
+
+  /**
+   * The innermost of the given scopes containing a 1-based line, or null
+   */
+  innermostScope(scopes, line) {
+    return scopes
+      .filter((scope) => scope.startLine <= line && scope.endLine >= line)
+      .reduce((inner, scope) => (!inner || scope.startLine > inner.startLine ? scope : inner), null);
+  }
+
+  findEnd(lines, startIndex, language) {
+    return language === "python"
+      ? this.findIndentedEnd(lines, startIndex)
+      : this.findBracedEnd(lines, startIndex);
+  }
+
+  /**
+   * Index of the line closing the braces opened at or just after a
+   * declaration; null when no brace opens (e.g. a one-line arrow function)
+   */
+  findBracedEnd(lines, startIndex) {
+    // Braces in strings, template literals and comments don't count
+    const scan = { depth: 0, mode: "code", templates: [] };
+    let opened = false;
+
+    for (let index = startIndex; index < lines.length; index++) {
+      opened = this.scanBraces(lines[index], scan) || opened;
+      const depth = scan.depth;
+
+      if (opened && depth <= 0) {
+        return index;
+      }
+      if (!opened && index - startIndex >= MAX_SIGNATURE_LINES) {
+        return null;
+      }
+    }
+
+    return opened ? lines.length - 1 : null;
+  }
+
+  /**
+   * Index of the last line indented deeper than the declaration
+   */
+  findIndentedEnd(lines, startIndex) {
+    const indentOf = (text) => text.match(/^\s*/)[0].length;
+    const baseIndent = indentOf(lines[startIndex]);
+    let end = startIndex;
+
+    for (let index = startIndex + 1; index < lines.length; index++) {
+      const text = lines[index];
+      if (!text.trim()) continue;
+      if (indentOf(text) <= baseIndent && !/^\s*[)\]}]/.test(text)) break;
+      end = index;
+    }
+
+    return end;
+  }
+
+  /**
+   * Count the code braces on one line. Block comments and template literals
+   * carry over to the next line in scan.mode; scan.templates holds the
+   * depth at each open `${`.
+   * @returns {boolean} Whether a brace opened
+   */
+  scanBraces(text, scan) {
+    let opened = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const next = text[i + 1];
+
+      if (scan.mode === "block") {
+        if (char === "*" && next === "/") {
+          scan.mode = "code";
+          i++;
+        }
+      } else if (scan.mode === "'" || scan.mode === '"' || scan.mode === "`") {
+        if (char === "\\") {
+          i++;
+        } else if (char === scan.mode) {
+          scan.mode = "code";
+        } else if (scan.mode === "`" && char === "$" && next === "{") {
+          scan.templates.push(scan.depth);
+          scan.mode = "code";
+          i++;
+        }
+      } else if (char === "/" && next === "/") {
+        break;
+      } else if (char === "/" && next === "*") {
+        scan.mode = "block";
+        i++;
+      } else if (char === "'" || char === '"' || char === "`") {
+        scan.mode = char;
+      } else if (char === "{") {
+        scan.depth++;
+        opened = true;
+      } else if (char === "}") {
+        if (scan.templates[scan.templates.length - 1] === scan.depth) {
+          scan.templates.pop();
+          scan.mode = "`";
+        } else {
+          scan.depth--;
+        }
+      }
+    }
+
+    // Quoted strings end with their line
+    if (scan.mode === "'" || scan.mode === '"') {
+      scan.mode = "code";
+    }
+
+    return opened;
+  }
+}
+
+module.exports = ScopeFinder;
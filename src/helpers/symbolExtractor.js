@@ -0,0 +1,175 @@
+// helpers/symbolExtractor.js - Names the functions, classes and exports a diff touches
+const ScopeFinder = require("./scopeFinder");
+const { getLanguage } = require("../utils/languages");
+
+class SymbolExtractor {
+  constructor() {
+    this.scopeFinder = new ScopeFinder();
+  }
+
+  /**
+   * Find the symbols a file's hunks add, modify or remove
+   * @param {string} filename - File path
+   * @param {Object} analysis - File from DiffAnalyzer
+   * @param {string|null} content - The file at the PR head, when it was read
+   * @returns {Array} [{ name, kind, change, exported, line }] - change is
+   *   "added", "modified" or "removed"; line is the first changed line in the
+   *   new file, or the declaration's line in the old file for removed symbols
+   */
+  extract(filename, analysis, content) {
+    const language = getLanguage(filename);
+    if (!this.scopeFinder.supports(language) || !(analysis.hunks || []).length) {
+      return [];
+    }
+
+    const { added, deleted } = this.collectChangedLines(analysis.hunks);
+    const removedDeclarations = deleted
+      .map((line) => this.declarationAt(line.text, line.oldLine, language))
+      .filter(Boolean);
+    const removedNames = new Set(removedDeclarations.map((symbol) => symbol.name));
+
+    const symbols = new Map();
+    const record = (declaration, line, declaredHere, text, exportedNames) => {
+      const key = `${declaration.kind}:${declaration.name}`;
+      if (symbols.has(key)) return;
+
+      symbols.set(key, {
+        name: declaration.name,
+        kind: declaration.kind,
+        change:
+          declaredHere && !removedNames.has(declaration.name) ? "added" : "modified",
+        exported: this.isExported(declaration, text, language, exportedNames),
+        line,
+      });
+    };
+
+    if (content) {
+      const lines = content.split("\n");
+      const scopes = this.scopeFinder.withoutLocals(this.scopeFinder.listScopes(lines, language));
+      const exportedNames = this.findExportedNames(content, language);
+      const changedLines = [...added.keys(), ...deleted.map((line) => line.newLine)].sort(
+        (a, b) => a - b
+      );
+
+      changedLines.forEach((line) => {
+        const scope = this.scopeFinder.innermostScope(scopes, line);
+        if (scope) {
+          record(scope, line, added.has(scope.startLine), lines[scope.startLine - 1], exportedNames);
+        }
+      });
+    } else {
+      // Without the file, only declarations in the patch itself are known
+      analysis.hunks.forEach((hunk) => {
+        const context = hunk.header.replace(/^@@[^@]*@@\s*/, "");
+        const enclosing = this.scopeFinder.matchDeclaration(context, language);
+        if (enclosing) {
+          record(enclosing, hunk.newStart, false, context, new Set());
+        }
+      });
+      added.forEach((text, line) => {
+        const declaration = this.scopeFinder.matchDeclaration(text, language);
+        if (declaration) {
+          record(declaration, line, true, text, new Set());
+        }
+      });
+    }
+
+    const remaining = new Set([...symbols.values()].map((symbol) => symbol.name));
+    removedDeclarations
+      .filter((symbol) => !remaining.has(symbol.name))
+      .forEach((symbol) => {
+        symbols.set(`${symbol.kind}:${symbol.name}`, { ...symbol, change: "removed" });
+      });
+
+    return [...symbols.values()];
+  }
+
+  /**
+   * Added lines by new-file line number, and deleted lines with their
+   * old-file line and the new-file line they were removed at
+   */
+  collectChangedLines(hunks) {
+    const added = new Map();
+    const deleted = [];
+
+    hunks.forEach((hunk) => {
+      let oldLine = hunk.oldStart;
+      let newLine = hunk.newStart;
+
+      hunk.lines.forEach((line) => {
+        const text = line.content.substring(1);
+
+        if (line.type === "addition") {
+          added.set(newLine++, text);
+        } else if (line.type === "deletion") {
+          deleted.push({ text, oldLine: oldLine++, newLine });
+        } else if (line.type === "context") {
+          oldLine++;
+          newLine++;
+        }
+      });
+    });
+
+    return { added, deleted };
+  }
+
+  declarationAt(text, line, language) {
+    const declaration = this.scopeFinder.matchDeclaration(text, language);
+    return declaration
+      ? {
+          ...declaration,
+          exported: this.isExported(declaration, text, language, new Set()),
+          line,
+        }
+      : null;
+  }
+
+  /**
+   * Whether code outside the file can use the symbol
+   */
+  isExported(declaration, text, language, exportedNames) {
+    switch (language) {
+      case "javascript":
+      case "typescript":
+        return /^\s*export\b/.test(text) || exportedNames.has(declaration.name);
+      case "python":
+        return /^\S/.test(text) && !declaration.name.startsWith("_");
+      case "go":
+        return /^[A-Z]/.test(declaration.name);
+      case "java":
+        return /\bpublic\b/.test(text);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Names a JavaScript or TypeScript file exports by name rather than by
+   * an `export` keyword on the declaration
+   */
+  findExportedNames(content, language) {
+    const names = new Set();
+    if (language !== "javascript" && language !== "typescript") {
+      return names;
+    }
+
+    const addList = (list) =>
+      list.split(",").forEach((entry) => {
+        entry
+          .split(/\s*(?::|\bas\b)\s*/)
+          .map((part) => part.trim())
+          .filter((part) => /^\w+$/.test(part))
+          .forEach((name) => names.add(name));
+      });
+
+    for (const match of content.matchAll(/module\.exports\s*=\s*\{([^}]*)\}/g)) addList(match[1]);
+    for (const match of content.matchAll(/module\.exports\s*=\s*(?:new\s+)?(\w+)/g)) names.add(match[1]);
+    for (const match of content.matchAll(/\bexports\.(\w+)\s*=/g)) names.add(match[1]);
+    for (const match of content.matchAll(/\bexport\s*\{([^}]*)\}/g)) addList(match[1]);
+    for (const match of content.matchAll(/\bexport\s+default\s+(\w+)\s*;?\s*$/gm)) names.add(match[1]);
+
+    return names;
+  }
+}
+
+module.exports = SymbolExtractor;
@@ -0,0 +1,80 @@
+// helpers/tokenBudget.js - Exact token counting and per-model context budgets
+const { getEncoding } = require("js-tiktoken");
+
+// Output tokens requested from the model unless it allows fewer
+const DEFAULT_OUTPUT_TOKENS = 4000;
+
+// Tokens the chat format adds around the system and user messages
+const MESSAGE_OVERHEAD_TOKENS = 16;
+
+// Checked in order, so more specific patterns must come first. Models without
+// a public tokenizer are counted with cl100k_base, which is close enough
+// to keep a safety margin useful.
+const MODELS = [
+  { pattern: /^gpt-4\.1/, contextWindow: 1047576, maxOutput: 32768, encoding: "o200k_base" },
+  { pattern: /^gpt-4o/, contextWindow: 128000, maxOutput: 16384, encoding: "o200k_base" },
+  { pattern: /^o\d/, contextWindow: 200000, maxOutput: 100000, encoding: "o200k_base" },
+  { pattern: /^gpt-4-(turbo|1106|0125)/, contextWindow: 128000, maxOutput: 4096, encoding: "cl100k_base" },
+  { pattern: /^gpt-4-32k/, contextWindow: 32768, maxOutput: 4096, encoding: "cl100k_base" },
+  { pattern: /^gpt-4/, contextWindow: 8192, maxOutput: 4096, encoding: "cl100k_base" },
+  { pattern: /^gpt-3\.5-turbo/, contextWindow: 16385, maxOutput: 4096, encoding: "cl100k_base" },
+  { pattern: /^claude/, contextWindow: 200000, maxOutput: 8192, encoding: "cl100k_base", safetyMargin: 0.1 },
+];
+
+const DEFAULT_MODEL = {
+  contextWindow: 8192,
+  maxOutput: DEFAULT_OUTPUT_TOKENS,
+  encoding: "cl100k_base",
+  safetyMargin: 0.1,
+};
+
+const encoders = new Map();
+
+const getEncoder = (encoding) => {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, getEncoding(encoding));
+  }
+  return encoders.get(encoding);
+};
+
+class TokenBudget {
+  /**
+   * @param {string} model - Model name
+   * @param {Object} [options]
+   * @param {number} [options.contextWindow] - Override for models we don't know
+   * @param {string} [options.systemPrompt] - System prompt sent with every call
+   */
+  constructor(model, options = {}) {
+    const limits = MODELS.find((entry) => entry.pattern.test(model || "")) || DEFAULT_MODEL;
+
+    this.model = model;
+    this.encoder = getEncoder(limits.encoding);
+    this.contextWindow = options.contextWindow || limits.contextWindow;
+    this.outputTokens = Math.min(DEFAULT_OUTPUT_TOKENS, limits.maxOutput);
+    this.safetyMargin = limits.safetyMargin || 0;
+    this.systemTokens = options.systemPrompt
+      ? this.countTokens(options.systemPrompt)
+      : 0;
+  }
+
+  countTokens(text) {
+    if (!text) return 0;
+    // Count special-token text in diffs instead of throwing on it
+    return this.encoder.encode(text, "all").length;
+  }
+
+  /**
+   * Tokens left for the user prompt once the system prompt and output are reserved
+   */
+  get promptTokens() {
+    const available =
+      this.contextWindow -
+      this.outputTokens -
+      this.systemTokens -
+      MESSAGE_OVERHEAD_TOKENS;
+
+    return Math.floor(available * (1 - this.safetyMargin));
+  }
+}
+
+module.exports = TokenBudget;
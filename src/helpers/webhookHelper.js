@@ -145,10 +145,11 @@ const handlePullRequestEvent = async (payload) => {
         }
       }
 
-      // If auto-review is enabled and this is a new PR, trigger review
-      if (action === "opened" && repoDoc.configuration?.autoReview) {
-        // Here you would trigger your AI review
-        logger.info(`Auto-review triggered for PR #${pr.number}`);
+      // Required lazily: the scheduler pulls in githubService, which loads this helper
+      const reviewScheduler = require("../services/reviewSchedulerService");
+
+      if (reviewScheduler.shouldAutoReview(action, repoDoc, pullRequest)) {
+        await reviewScheduler.scheduleReview(pullRequest, installation.userId);
       }
     } else if (action === "closed") {
       // Update PR state when closed
@@ -184,6 +185,59 @@ const handlePullRequestEvent = async (payload) => {
   }
 };
 
+const handleCommentEvent = async (event, payload) => {
+  // Plain issues share the issue_comment event with pull requests
+  if (event === "issue_comment" && !payload.issue?.pull_request) {
+    return;
+  }
+
+  if (payload.action !== "created" || payload.sender?.type === "Bot") {
+    return;
+  }
+
+  try {
+    // Required lazily: the command service pulls in githubService, which loads this helper
+    const commandService = require("../services/commandService");
+    await commandService.handleComment(event, payload);
+  } catch (error) {
+    logger.error("Error handling comment event", {
+      error: error.message,
+      event,
+      commentId: payload.comment?.id,
+      repository: payload.repository?.full_name,
+    });
+  }
+};
+
+// Pushes to the default branch bring the repository's knowledge index up to date
+const handlePushEvent = async (payload) => {
+  const repository = payload.repository;
+
+  if (payload.deleted || payload.ref !== `refs/heads/${repository.default_branch}`) {
+    return;
+  }
+
+  try {
+    const repoDoc = await Repository.findByFullName(repository.full_name);
+
+    if (!repoDoc || !repoDoc.isActive) {
+      return;
+    }
+
+    // Required lazily: the index service pulls in githubService, which loads this helper
+    const repositoryIndexService = require("../services/repositoryIndexService");
+    if (repositoryIndexService.isIndexWanted(repoDoc)) {
+      await repositoryIndexService.scheduleBuild(repoDoc);
+    }
+  } catch (error) {
+    logger.error("Error handling push event", {
+      error: error.message,
+      ref: payload.ref,
+      repository: repository.full_name,
+    });
+  }
+};
+
 const saveRepository = async (repo, installationId) => {
   try {
     const installationDoc = await Installation.findByInstallationId(
@@ -217,6 +271,12 @@ const saveRepository = async (repo, installationId) => {
     }
 
     logger.info(`Repository saved: ${repo.full_name}`);
+
+    const repositoryIndexService = require("../services/repositoryIndexService");
+    if (repositoryIndexService.isIndexWanted(repoDoc)) {
+      await repositoryIndexService.scheduleBuild(repoDoc);
+    }
+
     return repoDoc;
   } catch (error) {
     logger.error("Error saving repository", {
@@ -272,4 +332,6 @@ module.exports = {
   handleInstallationEvent,
   handleInstallationRepositoriesEvent,
   handlePullRequestEvent,
+  handleCommentEvent,
+  handlePushEvent,
 };
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// A pending or running build of a repository's knowledge index, see
+// indexQueueService
+const IndexJobSchema = new mongoose.Schema(
+  {
+    repositoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      required: true,
+    },
+    installationId: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+IndexJobSchema.index({ status: 1, runAt: 1 });
+IndexJobSchema.index({ status: 1, lockedUntil: 1 });
+// One queued build per repository; later pushes are picked up by it
+IndexJobSchema.index(
+  { repositoryId: 1 },
+  { unique: true, partialFilterExpression: { status: "queued" } }
+);
+
+// Static Methods
+
+/**
+ * Queue a build of the repository's index unless one is already waiting
+ */
+IndexJobSchema.statics.enqueue = async function (repository) {
+  const filter = { repositoryId: repository._id, status: "queued" };
+
+  try {
+    return await this.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { installationId: repository.installationId, runAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Lost an upsert race: the other insert is the queued build
+    if (error.code === 11000) {
+      return this.findOne(filter);
+    }
+    throw error;
+  }
+};
+
+const IndexJob = mongoose.model("IndexJob", IndexJobSchema);
+
+module.exports = IndexJob;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// One file of a repository's default branch in its knowledge index; reviews
+// retrieve the entries most like the changed code, see repositoryIndexService
+const IndexedFileSchema = new mongoose.Schema(
+  {
+    repositoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    // Git blob SHA; files whose blob didn't change aren't read again
+    blobSha: {
+      type: String,
+      required: true,
+    },
+    language: String,
+    // The file's leading comment or docstring
+    summary: String,
+    // Top-level functions, classes and methods, exported ones first
+    symbols: [
+      {
+        _id: false,
+        name: String,
+        kind: String,
+        exported: Boolean,
+        line: Number,
+        // The declaration line, e.g. "const filterPaths = (filenames, configuration = {}) => {"
+        signature: String,
+      },
+    ],
+    // Most frequent identifier words, matched against the changed code
+    terms: [String],
+    // Hashed term vector, only stored when INDEX_EMBEDDINGS is on
+    embedding: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+IndexedFileSchema.index({ repositoryId: 1, path: 1 }, { unique: true });
+
+const IndexedFile = mongoose.model("IndexedFile", IndexedFileSchema);
+
+module.exports = IndexedFile;
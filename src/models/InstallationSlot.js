@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// Jobs of one installation currently running in a queue. Workers take a slot
+// before claiming a job, so the per-installation limit holds across workers.
+const InstallationSlotSchema = new mongoose.Schema(
+  {
+    // Queue the slots belong to, e.g. "review" or "index"
+    queue: {
+      type: String,
+      required: true,
+    },
+    installationId: {
+      type: Number,
+      required: true,
+    },
+    // Slots in use; one whose lease ran out belongs to a dead worker
+    holders: [
+      {
+        _id: false,
+        jobId: String,
+        lockedUntil: Date,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+InstallationSlotSchema.index({ queue: 1, installationId: 1 }, { unique: true });
+
+// Static Methods
+
+/**
+ * Take one of the installation's slots for a job
+ * @returns {boolean} false when all `limit` slots are taken
+ */
+InstallationSlotSchema.statics.acquire = async function (
+  queue,
+  installationId,
+  jobId,
+  limit,
+  lockedUntil
+) {
+  await this.updateOne(
+    { queue, installationId },
+    { $pull: { holders: { lockedUntil: { $lte: new Date() } } } }
+  );
+
+  try {
+    // Matches only while a slot is free; otherwise the upsert collides
+    // with the existing document on the unique index
+    await this.findOneAndUpdate(
+      {
+        queue,
+        installationId,
+        [`holders.${limit - 1}`]: { $exists: false },
+        "holders.jobId": { $ne: jobId },
+      },
+      { $push: { holders: { jobId, lockedUntil } } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+InstallationSlotSchema.statics.renew = function (queue, installationId, jobId, lockedUntil) {
+  return this.updateOne(
+    { queue, installationId, "holders.jobId": jobId },
+    { $set: { "holders.$.lockedUntil": lockedUntil } }
+  );
+};
+
+InstallationSlotSchema.statics.release = function (queue, installationId, jobId) {
+  return this.updateOne({ queue, installationId }, { $pull: { holders: { jobId } } });
+};
+
+const InstallationSlot = mongoose.model("InstallationSlot", InstallationSlotSchema);
+
+module.exports = InstallationSlot;
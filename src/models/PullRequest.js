@@ -10,11 +10,24 @@ const PRReviewSchema = new mongoose.Schema(
       enum: ["pending", "in_progress", "completed", "failed"],
       default: "pending",
     },
+    commitSha: String,
+    // Set for incremental re-reviews: only commits after this SHA were analyzed
+    reviewedFromSha: String,
+    isReReview: {
+      type: Boolean,
+      default: false,
+    },
     summary: String,
     feedback: [
       {
         path: String,
         line: Number,
+        // LEFT when the line is in the old file, i.e. removed code
+        side: {
+          type: String,
+          enum: ["LEFT", "RIGHT"],
+          default: "RIGHT",
+        },
         comment: String,
         type: {
           type: String,
@@ -26,6 +39,68 @@ const PRReviewSchema = new mongoose.Schema(
           enum: ["low", "medium", "high"],
           default: "medium",
         },
+        category: String,
+        // Hash of the commented line, used to follow the finding across pushes
+        contentHash: String,
+      },
+    ],
+    // How well the LLM output matched the response schema during this review
+    llmMetrics: {
+      calls: Number,
+      malformedResponses: Number,
+      repairAttempts: Number,
+      repairedResponses: Number,
+      invalidResponses: Number,
+    },
+    // GitHub review event the repository's review policy chose
+    reviewEvent: {
+      type: String,
+      enum: ["COMMENT", "APPROVE", "REQUEST_CHANGES"],
+    },
+    // How comment lines matched the code snippets the model quoted;
+    // mismatchRate is the share that was relocated or posted on the file
+    anchorStats: {
+      total: Number,
+      verified: Number,
+      relocated: Number,
+      fileLevel: Number,
+      mismatchRate: Number,
+    },
+    // Files (or parts of files) the AI could not analyze, e.g. a failed chunk
+    unanalyzedFiles: [
+      {
+        path: String,
+        reason: String,
+      },
+    ],
+    // Files left out as generated, vendored, lockfiles or binaries
+    skippedFiles: [
+      {
+        path: String,
+        kind: String,
+      },
+    ],
+    // Findings from earlier reviews, checked against this review's diff
+    previousFindings: [
+      {
+        path: String,
+        side: {
+          type: String,
+          enum: ["LEFT", "RIGHT"],
+          default: "RIGHT",
+        },
+        line: Number,
+        currentLine: Number,
+        comment: String,
+        type: { type: String },
+        severity: { type: String },
+        category: String,
+        contentHash: String,
+        firstSeenReviewId: String,
+        status: {
+          type: String,
+          enum: ["resolved", "still_present", "outdated"],
+        },
       },
     ],
     metrics: {
@@ -89,6 +164,31 @@ const PullRequestSchema = new mongoose.Schema(
       required: true,
     },
     lastCommitSha: String,
+    // The sticky summary comment, edited in place on every review
+    summaryCommentId: Number,
+    // Finding categories or types muted on this PR with /ai-ignore
+    ignoredRules: [
+      {
+        rule: String,
+        createdBy: String,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Findings closed on this PR with /ai-resolve, or conceded as false
+    // positives in a reply thread, by finding key
+    resolvedFindings: [
+      {
+        key: String,
+        path: String,
+        reason: {
+          type: String,
+          enum: ["resolved", "false_positive"],
+          default: "resolved",
+        },
+        resolvedBy: String,
+        resolvedAt: { type: Date, default: Date.now },
+      },
+    ],
     baseBranch: String,
     headBranch: String,
     closedAt: Date,
@@ -133,6 +233,14 @@ PullRequestSchema.methods.getLatestReview = function () {
   return this.reviews.sort((a, b) => b.createdAt - a.createdAt)[0] || null;
 };
 
+PullRequestSchema.methods.hasReviewForCommit = function (commitSha) {
+  return this.reviews.some(
+    (r) =>
+      r.commitSha === commitSha &&
+      (r.status === "in_progress" || r.status === "completed")
+  );
+};
+
 PullRequestSchema.methods.updateDetails = function (details) {
   const { reviews, ...updateData } = details;
   Object.assign(this, updateData);
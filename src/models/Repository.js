@@ -3,6 +3,7 @@
  * Stores information about repositories connected to the system
  */
 const mongoose = require('mongoose');
+const { REPOSITORY_PROVIDER_NAMES } = require('../services/llm');
 
 const RepositorySchema = new mongoose.Schema({
   name: {
@@ -32,6 +33,8 @@ const RepositorySchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Minimum number of changed lines (additions + deletions) before an
+    // automatic review is run
     reviewThreshold: {
       type: Number,
       default: 2
@@ -46,12 +49,78 @@ const RepositorySchema = new mongoose.Schema({
     },
     codeOwners: [String],
     excludedPaths: [String],
-    includedPaths: [String]
+    includedPaths: [String],
+    // Findings below this severity are not posted
+    severityThreshold: {
+      type: String,
+      enum: ['critical', 'high', 'medium', 'low'],
+      default: 'low'
+    },
+    // What the review should concentrate on, e.g. security or performance
+    focusAreas: [String],
+    // Extra guidance from the maintainers, added to the prompt
+    customInstructions: String,
+    // Language the review is written in; code is never translated
+    language: String,
+    // Lockfiles, vendored, minified, generated and binary files are skipped
+    generatedFiles: {
+      skip: {
+        type: Boolean,
+        default: true
+      },
+      // Paths reviewed even when they look generated
+      review: [String]
+    },
+    // How findings turn into the GitHub review event
+    reviewPolicy: {
+      // Severities of open issues that make the review request changes
+      requestChangesOn: {
+        type: [String],
+        enum: ['critical', 'high', 'medium', 'low'],
+        default: ['critical', 'high']
+      },
+      // Also request changes when the model's verdict is request_changes
+      followVerdict: {
+        type: Boolean,
+        default: true
+      },
+      // Approve when nothing blocks; off unless the repository opts in
+      allowApprove: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // LLM used for this repository; falls back to LLM_PROVIDER and its default model
+    llm: {
+      provider: {
+        type: String,
+        enum: REPOSITORY_PROVIDER_NAMES
+      },
+      model: String,
+      // Context window in tokens, for models the reviewer doesn't know
+      contextWindow: Number
+    }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // State of the default branch index in IndexedFile
+  knowledgeIndex: {
+    status: {
+      type: String,
+      enum: ['building', 'ready', 'failed']
+    },
+    branch: String,
+    // Commit the index was built from
+    commitSha: String,
+    fileCount: Number,
+    // Files left out because the repository has more than INDEX_MAX_FILES
+    truncated: Boolean,
+    startedAt: Date,
+    indexedAt: Date,
+    error: String
+  },
   stats: {
     totalPRs: {
       type: Number,
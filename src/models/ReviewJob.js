@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const ReviewJobSchema = new mongoose.Schema(
+  {
+    pullRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PullRequest",
+      required: true,
+    },
+    installationId: {
+      type: Number,
+      required: true,
+    },
+    // User whose credits are charged once the review completes
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewId: String,
+    commitSha: String,
+    isReReview: Boolean,
+    // Re-review every file instead of only the commits since the last review
+    fullReview: Boolean,
+    source: {
+      type: String,
+      enum: ["webhook", "manual", "command", "recovery"],
+      default: "manual",
+    },
+    // Queued jobs sharing a key are collapsed into one (webhook debounce)
+    dedupeKey: String,
+    // Skip the job if the head commit already has a review
+    skipIfReviewed: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "skipped", "dead"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ReviewJobSchema.index({ status: 1, runAt: 1 });
+ReviewJobSchema.index({ status: 1, lockedUntil: 1 });
+ReviewJobSchema.index({ installationId: 1, status: 1 });
+ReviewJobSchema.index({ reviewId: 1 });
+ReviewJobSchema.index(
+  { dedupeKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: "queued",
+      dedupeKey: { $exists: true },
+    },
+  }
+);
+
+// Static Methods
+ReviewJobSchema.statics.findActiveByReviewId = function (reviewId) {
+  return this.findOne({ reviewId, status: { $in: ["queued", "running"] } });
+};
+
+const ReviewJob = mongoose.model("ReviewJob", ReviewJobSchema);
+
+module.exports = ReviewJob;
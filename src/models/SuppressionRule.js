@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// A finding dismissed as a false positive; later findings that match it are
+// left out of the repository's reviews
+const SuppressionRuleSchema = new mongoose.Schema(
+  {
+    repositoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      required: true,
+    },
+    // Files the rule applies to; a dismissed finding starts with its own path
+    pathGlob: {
+      type: String,
+      default: "**",
+    },
+    // Matches any category when unset
+    category: String,
+    // Normalized wording of the dismissed finding, see CommentProcessor.messageFingerprint
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    // The dismissed finding's text, shown in the dashboard and the prompt
+    message: String,
+    source: {
+      type: String,
+      enum: ["reaction", "command", "dashboard"],
+      required: true,
+    },
+    createdBy: String,
+    pullRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PullRequest",
+    },
+    // Review comment the rule was created from, so it is only created once
+    sourceCommentId: Number,
+    matchCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMatchedAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SuppressionRuleSchema.index({ repositoryId: 1, isActive: 1 });
+SuppressionRuleSchema.index({ repositoryId: 1, sourceCommentId: 1 });
+
+// Static Methods
+SuppressionRuleSchema.statics.findActiveByRepository = function (repositoryId) {
+  return this.find({ repositoryId, isActive: true }).sort({ createdAt: -1 });
+};
+
+const SuppressionRule = mongoose.model("SuppressionRule", SuppressionRuleSchema);
+
+module.exports = SuppressionRule;
@@ -18,6 +18,8 @@ const TransactionSchema = new mongoose.Schema(
         "credit_purchase",
         "refund",
         "subscription_renewal",
+        "credit_usage",
+        "credit_reset",
       ],
       required: true,
     },
@@ -15,5 +15,12 @@ router.get('/installation', authenticate, githubController.checkInstallation);
 router.get('/repositories', authenticate, githubController.listRepositories);
 router.get('/repositories/:owner/:repo/config', authenticate, githubController.getRepositoryConfig);
 router.put('/repositories/:owner/:repo/config', authenticate, githubController.updateRepositoryConfig);
+router.get('/repositories/:owner/:repo/suppressions', authenticate, githubController.listSuppressionRules);
+router.post('/repositories/:owner/:repo/suppressions', authenticate, githubController.createSuppressionRule);
+router.patch('/repositories/:owner/:repo/suppressions/:ruleId', authenticate, githubController.updateSuppressionRule);
+router.delete('/repositories/:owner/:repo/suppressions/:ruleId', authenticate, githubController.deleteSuppressionRule);
+router.post('/repositories/:owner/:repo/path-filter/preview', authenticate, githubController.previewPathFilter);
+router.get('/repositories/:owner/:repo/index', authenticate, githubController.getKnowledgeIndex);
+router.post('/repositories/:owner/:repo/index', authenticate, githubController.rebuildKnowledgeIndex);
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,8 @@ const app = require('./app');
 const { connectDB } = require('./config/db');
 const { port } = require('./config/env');
 const logger = require('./utils/logger');
+const reviewQueueService = require('./services/reviewQueueService');
+const indexQueueService = require('./services/indexQueueService');
 
 // Start the server
 const startServer = async () => {
@@ -13,6 +15,11 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
     
+    // Requeue reviews interrupted by the last shutdown, then start the worker
+    await reviewQueueService.recoverStaleReviews();
+    reviewQueueService.start();
+    indexQueueService.start();
+    
     // Start Express server
     const server = app.listen(port, () => {
       logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${port}`);
@@ -2,13 +2,20 @@
 const PullRequest = require("../models/PullRequest");
 const Repository = require("../models/Repository");
 const githubService = require("./githubService");
-const openaiService = require("./openaiService");
+const llmService = require("./llmService");
+const suppressionService = require("./suppressionService");
+const config = require("../config/env");
 const logger = require("../utils/logger");
+const { filterPaths } = require("../utils/pathFilter");
 const DiffAnalyzer = require("../helpers/diffAnalyzer");
 const ContextBuilder = require("../helpers/contextBuilder");
 const PromptBuilder = require("../helpers/promptBuilder");
 const CommentProcessor = require("../helpers/commentProcessor");
 const ReviewManager = require("../helpers/reviewManager");
+const FindingTracker = require("../helpers/findingTracker");
+const CheckRunReporter = require("../helpers/checkRunReporter");
+const RepositoryConfigLoader = require("../helpers/repositoryConfigLoader");
+const GeneratedFileClassifier = require("../helpers/generatedFileClassifier");
 
 class AIReviewService {
   constructor() {
@@ -17,45 +24,108 @@ class AIReviewService {
     this.promptBuilder = new PromptBuilder();
     this.commentProcessor = new CommentProcessor();
     this.reviewManager = new ReviewManager();
+    this.findingTracker = new FindingTracker();
+    this.checkRunReporter = new CheckRunReporter();
+    this.configLoader = new RepositoryConfigLoader();
+    this.generatedFileClassifier = new GeneratedFileClassifier();
   }
 
-  async reviewPullRequest(pullRequestId, isReReview = false) {
+  async reviewPullRequest(pullRequestId, isReReview = false, options = {}) {
     let reviewId;
+    let prData;
+    let checkRun = null;
 
     try {
       // Load PR and repository
-      const { pullRequest, repository } = await this.loadPullRequest(
-        pullRequestId
+      const loaded = await this.loadPullRequest(pullRequestId);
+      const { pullRequest } = loaded;
+      const repository = await this.loadRepositoryConfig(
+        loaded.repository,
+        pullRequest
       );
 
       // Initialize review
       reviewId = await this.reviewManager.initializeReview(
         pullRequest,
-        isReReview
+        isReReview,
+        options.reviewId
+      );
+
+      checkRun = await this.checkRunReporter.start(
+        repository,
+        pullRequest,
+        reviewId
       );
 
       // Get structured PR data
-      const prData = await this.collectPullRequestData(
+      prData = await this.collectPullRequestData(
         repository,
         pullRequest,
-        isReReview
+        isReReview,
+        options
       );
 
       // Check if we need to chunk the review
       let analysis;
-      if (this.promptBuilder.needsChunking(prData)) {
+      if (Object.keys(prData.diffAnalysis.files).length === 0) {
+        analysis = {
+          summary: prData.allFilesSkipped
+            ? "No files to review: every changed file is generated or skipped by the repository's path configuration."
+            : "No new changes to review since the last review.",
+          comments: [],
+        };
+      } else if (
+        this.promptBuilder.needsChunking(prData, pullRequest, isReReview)
+      ) {
         logger.info("Large PR detected, using chunked review");
         analysis = await this.analyzeWithChunking(
           prData,
           pullRequest,
-          isReReview
+          isReReview,
+          checkRun
         );
       } else {
+        await this.checkRunReporter.progress(
+          checkRun,
+          `Analyzing ${Object.keys(prData.diffAnalysis.files).length} files.`
+        );
         analysis = await this.analyzeWithAI(prData, pullRequest, isReReview);
       }
 
+      analysis.comments = this.commentProcessor.filterBySeverity(
+        analysis.comments,
+        repository.configuration?.severityThreshold
+      );
+
+      // Leave out what was muted on the PR or dismissed in the repository
+      const { kept, suppressed } = this.commentProcessor.partitionSuppressed(
+        analysis.comments,
+        pullRequest,
+        prData.suppressionRules
+      );
+      analysis.comments = kept;
+      await suppressionService.recordMatches(suppressed);
+      prData.previousFindings = this.commentProcessor.applySuppressions(
+        prData.previousFindings,
+        pullRequest,
+        prData.suppressionRules
+      );
+
+      analysis.reviewedFromSha = prData.incremental?.baseSha;
+      analysis.skippedFiles = prData.skippedFiles;
+      analysis.llmMetrics = prData.llm.metrics;
+      analysis.anchorStats = this.commentProcessor.countAnchors(
+        analysis.comments
+      );
+      if (analysis.anchorStats.total > 0) {
+        logger.info("Comment anchors resolved", analysis.anchorStats);
+      }
+      analysis.previousFindings = prData.previousFindings;
+
       // Post comments and update review
+      await this.checkRunReporter.progress(checkRun, "Posting review comments.");
       await this.postResults(repository, pullRequest, reviewId, analysis);
+      await this.checkRunReporter.complete(checkRun, analysis);
 
       logger.info(
         `Review completed successfully for PR #${pullRequest.prNumber}`
@@ -64,11 +134,14 @@ class AIReviewService {
     } catch (error) {
       logger.error("Error in AI review", { error: error.message });
 
+      await this.checkRunReporter.fail(checkRun, error);
+
       if (reviewId) {
         await this.reviewManager.markReviewFailed(
           pullRequestId,
           reviewId,
-          error.message
+          error.message,
+          prData?.llm.metrics
         );
       }
 
@@ -91,30 +164,232 @@ class AIReviewService {
     };
   }
 
-  async collectPullRequestData(repository, pullRequest, isReReview) {
+  /**
+   * The repository with its .aireview.yml settings merged over the stored
+   * configuration. Problems with the file are reported on the PR.
+   */
+  async loadRepositoryConfig(repository, pullRequest) {
+    const { config, errors } = await this.configLoader.load(
+      repository,
+      pullRequest
+    );
+
+    if (errors.length > 0) {
+      logger.warn(`Ignoring invalid ${RepositoryConfigLoader.CONFIG_PATH}`, {
+        repository: repository.fullName,
+        errors,
+      });
+      await this.reportConfigErrors(repository, pullRequest, errors);
+    }
+
+    const stored = repository.toObject();
+    return {
+      ...stored,
+      configuration: this.configLoader.merge(stored.configuration || {}, config),
+    };
+  }
+
+  /**
+   * Keep one comment listing the config file's problems, edited when they change
+   */
+  async reportConfigErrors(repository, pullRequest, errors) {
+    const { installationId, owner, name } = repository;
+    const body = this.commentProcessor.withConfigMarker(
+      this.commentProcessor.formatConfigErrors(
+        RepositoryConfigLoader.CONFIG_PATH,
+        errors
+      )
+    );
+
+    try {
+      const comments = await githubService.listIssueComments(
+        installationId,
+        owner,
+        name,
+        pullRequest.prNumber
+      );
+      const existing = comments.find((comment) =>
+        this.commentProcessor.isConfigComment(comment.body)
+      );
+
+      if (!existing) {
+        await githubService.addComment(installationId, owner, name, pullRequest.prNumber, body);
+      } else if (existing.body !== body) {
+        await githubService.updateComment(installationId, owner, name, existing.id, body);
+      }
+    } catch (error) {
+      logger.error("Failed to report config file errors", {
+        error: error.message,
+        prNumber: pullRequest.prNumber,
+      });
+    }
+  }
+
+  async collectPullRequestData(repository, pullRequest, isReReview, options = {}) {
     // Get PR diff and files
-    const prFiles = await githubService.getPullRequestFiles(
+    const changedFiles = await githubService.getPullRequestFiles(
       repository.installationId,
       repository.owner,
       repository.name,
       pullRequest.prNumber
     );
 
-    // Analyze diff to get proper line mappings
-    const diffAnalysis = this.diffAnalyzer.analyzePRFiles(prFiles);
+    // Files the repository's path patterns skip are left out everywhere
+    const { included, skipped } = filterPaths(
+      changedFiles.map((file) => file.filename),
+      repository.configuration
+    );
+    const includedPaths = new Set(included);
+    const configuredFiles = changedFiles.filter((file) =>
+      includedPaths.has(file.filename)
+    );
+    if (skipped.length > 0) {
+      logger.info(
+        `Skipping ${skipped.length} of ${changedFiles.length} files by path configuration`,
+        { prNumber: pullRequest.prNumber }
+      );
+    }
+
+    // Lockfiles, vendored trees, generated and binary files only cost tokens
+    const attributes = await this.generatedFileClassifier.loadAttributes(
+      repository,
+      pullRequest
+    );
+    const { kept: prFiles, skipped: skippedFiles } =
+      this.generatedFileClassifier.partition(
+        configuredFiles,
+        attributes,
+        repository.configuration?.generatedFiles
+      );
+    if (skippedFiles.length > 0) {
+      logger.info(`Skipping ${skippedFiles.length} generated files`, {
+        prNumber: pullRequest.prNumber,
+      });
+    }
+
+    // Comments are always anchored against the full PR diff
+    const fullDiffAnalysis = this.diffAnalyzer.analyzePRFiles(prFiles);
+
+    // Re-reviews only analyze what was pushed since the last review
+    const incremental =
+      isReReview && !options.fullReview
+        ? await this.getIncrementalChanges(repository, pullRequest, prFiles)
+        : null;
+
+    const files = incremental ? incremental.files : prFiles;
+    const diffAnalysis = incremental
+      ? this.diffAnalyzer.analyzePRFiles(files)
+      : fullDiffAnalysis;
+
+    // Check which findings from the last review were fixed
+    const previousFindings = isReReview
+      ? this.findingTracker.trackFindings(
+          this.findingTracker.getOpenFindings(
+            this.contextBuilder.getPreviousReviews(pullRequest)[0]
+          ),
+          fullDiffAnalysis,
+          incremental ? diffAnalysis : null
+        )
+      : null;
+
+    // Thumbs-down reactions since the last review become rules first
+    await suppressionService.syncReactionDismissals(repository, pullRequest);
+    const suppressionRules = await suppressionService.getActiveRules(
+      repository._id
+    );
 
     // Build context for the review
     const context = await this.contextBuilder.buildContext(
       repository,
       pullRequest,
       diffAnalysis,
-      isReReview
+      isReReview,
+      previousFindings
     );
 
+    if (incremental) {
+      context.incremental = {
+        baseSha: incremental.baseSha,
+        headSha: incremental.headSha,
+        totalCommits: incremental.totalCommits,
+        priorFeedback: this.contextBuilder.getPriorFeedback(
+          pullRequest,
+          Object.keys(diffAnalysis.files)
+        ),
+      };
+    }
+
     return {
       diffAnalysis,
+      fullDiffAnalysis,
+      llm: {
+        ...llmService.resolveSettings(repository.configuration?.llm),
+        metrics: llmService.createMetrics(),
+      },
       context,
-      files: prFiles,
+      files,
+      incremental,
+      previousFindings,
+      suppressionRules,
+      skippedFiles,
+      allFilesSkipped: changedFiles.length > 0 && prFiles.length === 0,
+      configuration: repository.configuration,
+    };
+  }
+
+  /**
+   * Get the files changed between the last reviewed commit and the PR head.
+   * Returns null when a full review is needed instead.
+   */
+  async getIncrementalChanges(repository, pullRequest, prFiles) {
+    const lastReview = this.contextBuilder
+      .getPreviousReviews(pullRequest)
+      .find((review) => review.commitSha);
+
+    if (!lastReview || lastReview.commitSha === pullRequest.lastCommitSha) {
+      return null;
+    }
+
+    let comparison;
+    try {
+      comparison = await githubService.getCommitsBetween(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        lastReview.commitSha,
+        pullRequest.lastCommitSha
+      );
+    } catch (error) {
+      logger.warn("Could not compare against last review, reviewing full PR", {
+        error: error.message,
+        baseSha: lastReview.commitSha,
+      });
+      return null;
+    }
+
+    // A force-push or rebase rewrote history; the delta is meaningless
+    if (comparison.status !== "ahead") {
+      logger.info(
+        `Head is ${comparison.status} of last reviewed commit, reviewing full PR`
+      );
+      return null;
+    }
+
+    // Ignore files brought in by merging the base branch
+    const prFilenames = new Set(prFiles.map((file) => file.filename));
+    const files = (comparison.files || []).filter((file) =>
+      prFilenames.has(file.filename)
+    );
+
+    logger.info(
+      `Incremental review of ${files.length} files since ${lastReview.commitSha}`
+    );
+
+    return {
+      baseSha: lastReview.commitSha,
+      headSha: pullRequest.lastCommitSha,
+      totalCommits: comparison.total_commits,
+      files,
     };
   }
 
@@ -127,83 +402,277 @@ class AIReviewService {
     );
 
     // Get AI analysis
-    const aiResponse = await openaiService.analyzeCodeWithRetry(prompt);
+    const aiResponse = await llmService.analyzeCodeWithRetry(
+      prompt,
+      prData.llm
+    );
 
     // Process and validate comments
     const processedComments = this.commentProcessor.processComments(
       aiResponse.comments,
-      prData.diffAnalysis
+      prData.fullDiffAnalysis
     );
 
     return {
       summary: aiResponse.summary,
       comments: processedComments,
       metrics: aiResponse.metrics,
+      overallAssessment: aiResponse.overallAssessment,
       suggestions: aiResponse.suggestions,
     };
   }
 
-  async analyzeWithChunking(prData, pullRequest, isReReview) {
-    const files = Object.entries(prData.diffAnalysis.files);
-    const totalChunks = Math.ceil(files.length / 5); // 5 files per chunk
-
-    logger.info(`Analyzing PR in ${totalChunks} chunks`);
+  async analyzeWithChunking(prData, pullRequest, isReReview, checkRun = null) {
+    const chunks = this.promptBuilder.buildChunks(
+      prData,
+      pullRequest,
+      isReReview
+    );
+    const totalChunks = chunks.length;
+    const { chunkConcurrency, chunkRetries } = config.review;
 
-    const allComments = [];
-    const metricsList = [];
-    let overallSummary = "";
+    logger.info(
+      `Analyzing PR in ${totalChunks} chunks, ${chunkConcurrency} at a time`
+    );
 
-    // Process each chunk
-    for (let i = 0; i < totalChunks; i++) {
-      logger.info(`Processing chunk ${i + 1}/${totalChunks}`);
+    let finishedChunks = 0;
+    const analyzeChunk = async (index) => {
+      const result = await this.analyzeChunk(
+        prData,
+        pullRequest,
+        isReReview,
+        chunks,
+        index
+      );
 
-      try {
-        // Build chunk-specific prompt
-        const chunkPrompt = this.promptBuilder.buildChunkedPrompt(
-          prData,
-          pullRequest,
-          isReReview,
-          i,
-          totalChunks
+      if (!result.error) {
+        finishedChunks++;
+        await this.checkRunReporter.progress(
+          checkRun,
+          `Analyzed ${finishedChunks} of ${totalChunks} chunks.`
         );
+      }
 
-        // Analyze chunk
-        const chunkResponse = await openaiService.analyzeCodeWithRetry(
-          chunkPrompt
-        );
+      return result;
+    };
 
-        // Collect results
-        if (chunkResponse.comments) {
-          allComments.push(...chunkResponse.comments);
-        }
+    await this.checkRunReporter.progress(
+      checkRun,
+      `Analyzing ${Object.keys(prData.diffAnalysis.files).length} files in ${totalChunks} chunks.`
+    );
 
-        if (chunkResponse.metrics) {
-          metricsList.push(chunkResponse.metrics);
-        }
+    const results = await this.runWithConcurrency(
+      chunks.map((chunk, index) => index),
+      chunkConcurrency,
+      analyzeChunk
+    );
 
-        if (chunkResponse.summary) {
-          overallSummary += `\nChunk ${i + 1}: ${chunkResponse.summary}`;
-        }
-      } catch (error) {
-        logger.error(`Error analyzing chunk ${i + 1}`, {
-          error: error.message,
-        });
-        // Continue with other chunks
+    // Retry failed chunks one at a time so they don't compete for rate limits
+    for (let attempt = 1; attempt <= chunkRetries; attempt++) {
+      const failed = results.filter((result) => result.error);
+      if (failed.length === 0) break;
+
+      logger.warn(
+        `Retrying ${failed.length} failed chunks (attempt ${attempt}/${chunkRetries})`
+      );
+
+      for (const result of failed) {
+        results[result.index] = await analyzeChunk(result.index);
       }
     }
 
+    // Nothing was reviewed, so fail the job and let the queue retry it
+    if (results.every((result) => result.error)) {
+      throw new Error(`All ${totalChunks} chunks failed: ${results[0].error}`);
+    }
+
+    const chunkResponses = results
+      .filter((result) => !result.error)
+      .map((result) => result.response);
+
+    const allComments = chunkResponses.flatMap(
+      (response) => response.comments || []
+    );
+    const metricsList = chunkResponses
+      .map((response) => response.metrics)
+      .filter(Boolean);
+
+    // Merge the chunks into one review, or fall back to joining them
+    const synthesis = await this.synthesizeChunks(
+      prData,
+      pullRequest,
+      chunkResponses,
+      allComments
+    );
+
     // Combine results
     const combinedMetrics = this.combineMetrics(metricsList);
     const processedComments = this.commentProcessor.processComments(
-      allComments,
-      prData.diffAnalysis
+      synthesis ? synthesis.comments : allComments,
+      prData.fullDiffAnalysis
     );
 
+    let summary = synthesis?.summary;
+    if (!summary) {
+      const overallSummary = results
+        .filter((result) => !result.error && result.response.summary)
+        .map((result) => `\nChunk ${result.index + 1}: ${result.response.summary}`)
+        .join("");
+
+      summary = this.generateCombinedSummary(overallSummary, processedComments);
+    }
+
     return {
-      summary: this.generateCombinedSummary(overallSummary, processedComments),
+      summary,
       comments: processedComments,
       metrics: combinedMetrics,
+      overallAssessment: this.combineAssessments(
+        chunkResponses.map((response) => response.overallAssessment)
+      ),
       suggestions: [],
+      unanalyzedFiles: this.collectUnanalyzedFiles(chunks, results),
+    };
+  }
+
+  /**
+   * Second LLM pass over every chunk's findings: drops duplicates across
+   * files, adds cross-file issues and writes one summary for the whole PR.
+   * Returns null when there is nothing to merge or the pass fails.
+   */
+  async synthesizeChunks(prData, pullRequest, chunkResponses, findings) {
+    if (chunkResponses.length < 2) {
+      return null;
+    }
+
+    const prompt = this.promptBuilder.buildSynthesisPrompt(
+      prData,
+      pullRequest,
+      chunkResponses,
+      findings
+    );
+    let response;
+    try {
+      response = await llmService.synthesizeReview(prompt, prData.llm);
+    } catch (error) {
+      logger.warn("Synthesis pass failed, combining chunk results as they are", {
+        error: error.message,
+      });
+      return null;
+    }
+
+    // Ids are 1-based positions in findings; never drop one marked to keep
+    const keep = new Set(response.duplicates.map((group) => group.keep));
+    const remove = new Set(
+      response.duplicates
+        .flatMap((group) => group.remove)
+        .filter((id) => !keep.has(id))
+    );
+    const kept = findings.filter((finding, index) => !remove.has(index + 1));
+
+    logger.info(
+      `Synthesis removed ${findings.length - kept.length} duplicate findings and added ${response.comments.length} cross-file findings`
+    );
+
+    return {
+      summary: response.summary,
+      comments: [...kept, ...response.comments],
+    };
+  }
+
+  /**
+   * Analyze one chunk, returning { index, response } or { index, error }
+   */
+  async analyzeChunk(prData, pullRequest, isReReview, chunks, index) {
+    logger.info(`Processing chunk ${index + 1}/${chunks.length}`);
+
+    try {
+      const chunkPrompt = this.promptBuilder.buildChunkedPrompt(
+        prData,
+        pullRequest,
+        isReReview,
+        chunks[index],
+        index,
+        chunks.length
+      );
+
+      const response = await llmService.analyzeCodeWithRetry(
+        chunkPrompt,
+        prData.llm
+      );
+
+      return { index, response };
+    } catch (error) {
+      logger.error(`Error analyzing chunk ${index + 1}`, {
+        error: error.message,
+      });
+      return { index, error: error.message };
+    }
+  }
+
+  /**
+   * Run worker over items with at most `limit` calls in flight, keeping order
+   */
+  async runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from(
+      { length: Math.min(Math.max(limit, 1), items.length) },
+      async () => {
+        while (next < items.length) {
+          const position = next++;
+          results[position] = await worker(items[position]);
+        }
+      }
+    );
+
+    await Promise.all(runners);
+    return results;
+  }
+
+  /**
+   * Files from chunks that still failed after retries, with the reason
+   */
+  collectUnanalyzedFiles(chunks, results) {
+    const unanalyzed = [];
+
+    results.forEach((result) => {
+      if (!result.error) return;
+
+      Object.entries(chunks[result.index].files).forEach(([path, file]) => {
+        const part = file.hunkRange
+          ? `${this.promptBuilder.describeHunkRange(file)} `
+          : "";
+
+        unanalyzed.push({
+          path,
+          reason: `${part}not analyzed, chunk ${result.index + 1} failed: ${result.error}`,
+        });
+      });
+    });
+
+    return unanalyzed;
+  }
+
+  /**
+   * The most severe chunk verdict wins; approve only if every chunk approved
+   */
+  combineAssessments(assessments) {
+    const verdicts = assessments.map((assessment) => assessment?.verdict);
+
+    let verdict = "needs_discussion";
+    if (verdicts.includes("request_changes")) {
+      verdict = "request_changes";
+    } else if (verdicts.length > 0 && verdicts.every((v) => v === "approve")) {
+      verdict = "approve";
+    }
+
+    return {
+      verdict,
+      reasoning: assessments
+        .map((assessment) => assessment?.reasoning)
+        .filter(Boolean)
+        .join(" "),
     };
   }
 
@@ -258,7 +727,7 @@ class AIReviewService {
     const commentResults = await this.postReviewComments(
       repository,
       pullRequest,
-      analysis.comments
+      analysis
     );
 
     // Update review status
@@ -270,23 +739,100 @@ class AIReviewService {
     );
   }
 
-  async postReviewComments(repository, pullRequest, comments) {
+  /**
+   * Post a review's findings without repeating earlier ones: inline comments
+   * already on the same line are skipped, the summary is kept in one comment
+   * that is edited in place, and threads for resolved findings are minimized
+   */
+  async postReviewComments(repository, pullRequest, analysis) {
     try {
       // Separate inline and general comments
-      const { inlineComments, generalComments } =
-        this.commentProcessor.separateComments(comments);
+      const { inlineComments, generalComments, fileComments } =
+        this.commentProcessor.separateComments(analysis.comments || []);
+
+      const existingComments = await this.getExistingReviewComments(
+        repository,
+        pullRequest
+      );
+      const newInlineComments = this.skipPostedComments(
+        inlineComments,
+        existingComments
+      );
+      const newFileComments = this.skipPostedComments(
+        fileComments,
+        existingComments
+      );
+
+      const event = this.commentProcessor.chooseReviewEvent(
+        analysis,
+        repository.configuration?.reviewPolicy
+      );
+      // What the policy decided; reviewEvent becomes what GitHub accepted
+      analysis.policyEvent = event;
+      analysis.reviewEvent = event;
+
+      const ownReviews = await this.getOwnReviews(repository, pullRequest);
+      const latestState = ownReviews.length
+        ? ownReviews[ownReviews.length - 1].state
+        : null;
+      const eventStates = {
+        APPROVE: "APPROVED",
+        REQUEST_CHANGES: "CHANGES_REQUESTED",
+      };
 
-      // Post inline comments
-      let inlineResults = { success: 0, failed: 0 };
-      if (inlineComments.length > 0) {
+      // Post inline comments, or just the new verdict when it changed
+      let inlineResults = { success: 0, failed: 0, skipped: 0 };
+      if (
+        newInlineComments.length > 0 ||
+        (eventStates[event] && eventStates[event] !== latestState)
+      ) {
         inlineResults = await githubService.createReviewWithComments(
           repository.installationId,
           repository.owner,
           repository.name,
           pullRequest.prNumber,
-          inlineComments,
-          pullRequest.lastCommitSha
+          newInlineComments,
+          pullRequest.lastCommitSha,
+          this.commentProcessor.withReviewMarker(
+            this.formatReviewBody(event, newInlineComments.length, pullRequest)
+          ),
+          event
         );
+
+        // Record the verdict GitHub actually received
+        analysis.reviewEvent = inlineResults.event;
+        delete inlineResults.event;
+      }
+
+      // Lift an earlier "changes requested" once nothing blocks any more
+      if (event !== "REQUEST_CHANGES") {
+        await this.dismissChangeRequests(repository, pullRequest, ownReviews);
+      }
+      inlineResults.skipped =
+        inlineComments.length -
+        newInlineComments.length +
+        fileComments.length -
+        newFileComments.length;
+
+      // Post comments whose line couldn't be verified on the file instead
+      for (const comment of newFileComments) {
+        try {
+          await githubService.createFileComment(
+            repository.installationId,
+            repository.owner,
+            repository.name,
+            pullRequest.prNumber,
+            comment,
+            pullRequest.lastCommitSha
+          );
+          inlineResults.success++;
+        } catch (error) {
+          logger.warn("Failed to post file comment, posting it as a general comment", {
+            error: error.message,
+            path: comment.path,
+          });
+          generalComments.push({ body: comment.fallbackBody });
+        }
       }
 
       // Post general comments
@@ -309,6 +855,18 @@ class AIReviewService {
         }
       }
 
+      await this.upsertSummaryComment(
+        repository,
+        pullRequest,
+        this.commentProcessor.formatReviewSummary(analysis)
+      );
+
+      await this.minimizeResolvedComments(
+        repository,
+        existingComments,
+        analysis.previousFindings
+      );
+
       return {
         inline: inlineResults,
         general: generalResults,
@@ -320,6 +878,216 @@ class AIReviewService {
       throw error;
     }
   }
+
+  formatReviewBody(event, commentCount, pullRequest) {
+    const commit = pullRequest.lastCommitSha?.substring(0, 7);
+    const comments = `${commentCount} new comment${commentCount === 1 ? "" : "s"}`;
+
+    if (event === "REQUEST_CHANGES") {
+      return `🤖 Changes requested on ${commit}: open issues meet this repository's review policy. ${comments}; the summary comment has the full review.`;
+    }
+    if (event === "APPROVE") {
+      return `🤖 Approved ${commit}: no blocking issues found. ${comments}; the summary comment has the full review.`;
+    }
+    return `🤖 ${comments} on ${commit}. The summary comment has the full review.`;
+  }
+
+  /**
+   * Reviews this app submitted on the PR, oldest first
+   */
+  async getOwnReviews(repository, pullRequest) {
+    try {
+      const reviews = await githubService.listReviews(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        pullRequest.prNumber
+      );
+
+      return reviews.filter((review) =>
+        this.commentProcessor.isOwnReview(review.body)
+      );
+    } catch (error) {
+      logger.warn("Could not load existing reviews", { error: error.message });
+      return [];
+    }
+  }
+
+  async dismissChangeRequests(repository, pullRequest, ownReviews) {
+    const blockingReviews = ownReviews.filter(
+      (review) => review.state === "CHANGES_REQUESTED"
+    );
+
+    for (const review of blockingReviews) {
+      try {
+        await githubService.dismissReview(
+          repository.installationId,
+          repository.owner,
+          repository.name,
+          pullRequest.prNumber,
+          review.id,
+          `No blocking issues remain as of ${pullRequest.lastCommitSha?.substring(0, 7)}.`
+        );
+      } catch (error) {
+        logger.warn("Failed to dismiss earlier review", {
+          error: error.message,
+          reviewId: review.id,
+        });
+      }
+    }
+  }
+
+  /**
+   * Review comments this app posted on the PR earlier, keyed by finding
+   */
+  async getExistingReviewComments(repository, pullRequest) {
+    try {
+      const comments = await githubService.listReviewComments(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        pullRequest.prNumber
+      );
+
+      return comments
+        .map((comment) => ({
+          id: comment.id,
+          nodeId: comment.node_id,
+          path: comment.path,
+          line: comment.line,
+          side: comment.side,
+          subjectType: comment.subject_type,
+          key: this.commentProcessor.parseFindingKey(comment.body),
+        }))
+        .filter((comment) => comment.key);
+    } catch (error) {
+      // Worst case is a repeated comment, so don't fail the review over it
+      logger.warn("Could not load existing review comments", {
+        error: error.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Drop comments whose finding is already posted at the same place
+   */
+  skipPostedComments(comments, existingComments) {
+    return comments.filter((comment) => {
+      const duplicate = existingComments.some(
+        (existing) =>
+          existing.key === comment.key &&
+          existing.path === comment.path &&
+          (comment.line
+            ? existing.line === comment.line &&
+              (existing.side || "RIGHT") === comment.side
+            : existing.subjectType === "file")
+      );
+
+      if (duplicate) {
+        logger.info(
+          `Skipping comment already posted on ${comment.path}:${comment.line || "file"}`
+        );
+      }
+
+      return !duplicate;
+    });
+  }
+
+  /**
+   * Edit the sticky summary comment, creating it on the first review
+   */
+  async upsertSummaryComment(repository, pullRequest, summaryBody) {
+    const { installationId, owner, name } = repository;
+    const body = this.commentProcessor.withSummaryMarker(
+      `${summaryBody}\n\n<sub>Last reviewed commit: ${pullRequest.lastCommitSha}</sub>`
+    );
+
+    try {
+      let commentId = pullRequest.summaryCommentId;
+
+      if (!commentId) {
+        const comments = await githubService.listIssueComments(
+          installationId,
+          owner,
+          name,
+          pullRequest.prNumber
+        );
+        commentId = comments.find((comment) =>
+          this.commentProcessor.isSummaryComment(comment.body)
+        )?.id;
+      }
+
+      if (commentId) {
+        try {
+          await githubService.updateComment(installationId, owner, name, commentId, body);
+        } catch (error) {
+          // Someone deleted it; post a new one below
+          if (error.statusCode !== 404) throw error;
+          commentId = null;
+        }
+      }
+
+      if (!commentId) {
+        const comment = await githubService.addComment(
+          installationId,
+          owner,
+          name,
+          pullRequest.prNumber,
+          body
+        );
+        commentId = comment.id;
+      }
+
+      if (commentId !== pullRequest.summaryCommentId) {
+        await PullRequest.updateOne(
+          { _id: pullRequest._id },
+          { summaryCommentId: commentId }
+        );
+        pullRequest.summaryCommentId = commentId;
+      }
+    } catch (error) {
+      logger.error("Failed to update summary comment", {
+        error: error.message,
+        prNumber: pullRequest.prNumber,
+      });
+    }
+  }
+
+  /**
+   * Collapse earlier comments whose finding is now resolved or outdated
+   */
+  async minimizeResolvedComments(repository, existingComments, previousFindings) {
+    const classifiers = { resolved: "RESOLVED", outdated: "OUTDATED" };
+    const closedKeys = new Map();
+
+    (previousFindings || []).forEach((finding) => {
+      if (classifiers[finding.status]) {
+        closedKeys.set(
+          this.commentProcessor.findingKey(finding),
+          classifiers[finding.status]
+        );
+      }
+    });
+
+    for (const comment of existingComments) {
+      const classifier = closedKeys.get(comment.key);
+      if (!classifier) continue;
+
+      try {
+        await githubService.minimizeComment(
+          repository.installationId,
+          comment.nodeId,
+          classifier
+        );
+      } catch (error) {
+        logger.warn("Failed to minimize review comment", {
+          error: error.message,
+          commentId: comment.id,
+        });
+      }
+    }
+  }
 }
 
 module.exports = new AIReviewService();
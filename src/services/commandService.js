@@ -0,0 +1,544 @@
+// commandService.js - Slash commands and replies to the app's review threads
+const Repository = require("../models/Repository");
+const Installation = require("../models/Installation");
+const PullRequest = require("../models/PullRequest");
+const githubService = require("./githubService");
+const llmService = require("./llmService");
+const reviewQueueService = require("./reviewQueueService");
+const suppressionService = require("./suppressionService");
+const PromptBuilder = require("../helpers/promptBuilder");
+const CommentProcessor = require("../helpers/commentProcessor");
+const { review: reviewConfig } = require("../config/env");
+const logger = require("../utils/logger");
+
+// A command is the first line that starts with /ai-<name>
+const COMMAND_PATTERN = /^\s*\/ai-([a-z]+)(?:[ \t]+(.*?))?\s*$/m;
+
+const HELP = `Available commands:
+- \`/ai-review\` — review the changes since the last review
+- \`/ai-review full\` — review the whole pull request again
+- \`/ai-explain\` — in a thread on one of my comments: explain the finding; elsewhere: explain the last review's outcome
+- \`/ai-ignore <rule>\` — leave findings of a category, type, severity, file or directory (ending in \`/\`) out of this PR's reviews
+- \`/ai-resolve\` — in a thread on one of my comments: close the finding for this PR
+- \`/ai-resolve wontfix\` — same, and stop raising similar findings in this file in future reviews of the repository`;
+
+class CommandService {
+  constructor() {
+    this.promptBuilder = new PromptBuilder();
+    this.commentProcessor = new CommentProcessor();
+  }
+
+  /**
+   * Parse the command in a comment body
+   * @returns {Object|null} { name, args }
+   */
+  parseCommand(body) {
+    const match = (body || "").match(COMMAND_PATTERN);
+    if (!match) return null;
+
+    return { name: match[1], args: match[2] || "" };
+  }
+
+  /**
+   * Run the command in an issue_comment or pull_request_review_comment
+   * payload if its author may run it; other replies in review threads are
+   * answered when the thread is on one of the app's findings
+   */
+  async handleComment(event, payload) {
+    const command = this.parseCommand(payload.comment.body);
+    const isThreadReply =
+      event === "pull_request_review_comment" &&
+      !!payload.comment.in_reply_to_id;
+
+    if (!command && !isThreadReply) return;
+
+    const context = await this.loadContext(event, payload);
+    if (!context) return;
+
+    if (!command) {
+      return this.answerReply(context);
+    }
+
+    const { repository, sender } = context;
+
+    const authorized = await this.isAuthorized(repository, sender);
+    if (!authorized) {
+      logger.info(`Ignoring /ai-${command.name} from ${sender}: not a collaborator with write access`, {
+        repository: repository.fullName,
+      });
+      return;
+    }
+
+    logger.info(`Running /ai-${command.name} on PR #${context.pullRequest.prNumber}`, {
+      repository: repository.fullName,
+      sender,
+    });
+
+    await this.react(context, "eyes");
+
+    try {
+      await this.runCommand(command, context);
+      await this.react(context, "rocket");
+    } catch (error) {
+      logger.error(`Error running /ai-${command.name}`, {
+        error: error.message,
+        repository: repository.fullName,
+        prNumber: context.pullRequest.prNumber,
+      });
+      await this.react(context, "confused");
+      await this.reply(context, `Sorry, \`/ai-${command.name}\` failed: ${error.message}`);
+    }
+  }
+
+  async loadContext(event, payload) {
+    const isReviewComment = event === "pull_request_review_comment";
+    const prNumber = isReviewComment
+      ? payload.pull_request.number
+      : payload.issue.number;
+
+    const repository = await Repository.findByFullName(payload.repository.full_name);
+    if (!repository || !repository.isActive) {
+      logger.warn(`Repository not found: ${payload.repository.full_name}`);
+      return null;
+    }
+
+    const pullRequest = await PullRequest.findByRepoAndNumber(repository._id, prNumber);
+    if (!pullRequest) {
+      logger.warn(`Command on untracked PR #${prNumber} in ${repository.fullName}`);
+      return null;
+    }
+
+    return {
+      repository,
+      pullRequest,
+      comment: payload.comment,
+      isReviewComment,
+      sender: payload.sender.login,
+    };
+  }
+
+  async isAuthorized(repository, username) {
+    try {
+      return await githubService.hasWriteAccess(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        username
+      );
+    } catch (error) {
+      logger.error("Error checking collaborator permission", {
+        error: error.message,
+        username,
+      });
+      return false;
+    }
+  }
+
+  async runCommand(command, context) {
+    switch (command.name) {
+      case "review":
+        return this.review(context, command.args);
+
+      case "explain":
+        return context.isReviewComment
+          ? this.explainFinding(context)
+          : this.explainReview(context);
+
+      case "ignore":
+        return this.ignore(context, command.args);
+
+      case "resolve":
+        return this.resolve(context, command.args);
+
+      default:
+        return this.reply(context, `Unknown command \`/ai-${command.name}\`.\n\n${HELP}`);
+    }
+  }
+
+  /**
+   * Queue a review; "full" re-reviews every file instead of the new commits
+   */
+  async review(context, args) {
+    const { repository, pullRequest, sender } = context;
+
+    if (args && args !== "full") {
+      return this.reply(context, `Unknown option \`${args}\`.\n\n${HELP}`);
+    }
+
+    if (pullRequest.state !== "open") {
+      return this.reply(context, "Only open pull requests can be reviewed.");
+    }
+
+    // Credits go to the account that installed the app, as for automatic reviews
+    const installation = await Installation.findOne({
+      installationId: repository.installationId,
+      status: "active",
+    });
+
+    const job = await reviewQueueService.enqueue(pullRequest, {
+      userId: installation?.userId,
+      fullReview: args === "full",
+      source: "command",
+    });
+
+    logger.info(`Review of PR #${pullRequest.prNumber} requested by ${sender}`, {
+      jobId: job._id,
+      fullReview: args === "full",
+    });
+  }
+
+  /**
+   * Explain the bot finding that starts the thread the command was posted in
+   */
+  async explainFinding(context) {
+    const finding = await this.getThreadFinding(context);
+    if (!finding) {
+      return this.reply(context, "`/ai-explain` only works in a thread on one of my review comments.");
+    }
+
+    const explanation = await llmService.explainFinding(
+      this.promptBuilder.buildExplainPrompt({
+        path: finding.path,
+        line: finding.line,
+        body: this.stripMarkers(finding.body),
+        diffHunk: finding.diff_hunk,
+      }),
+      llmService.resolveSettings(context.repository.configuration?.llm)
+    );
+
+    await this.reply(context, explanation);
+  }
+
+  /**
+   * Explain the outcome of the last completed review
+   */
+  async explainReview(context) {
+    const { repository, pullRequest } = context;
+    const review = pullRequest.reviews
+      .filter((r) => r.status === "completed")
+      .sort((a, b) => b.createdAt - a.createdAt)[0];
+
+    if (!review) {
+      return this.reply(context, "This pull request has not been reviewed yet. Use `/ai-review` to start a review.");
+    }
+
+    // Issues by severity; suggestions, questions and praise just counted
+    const feedback = review.feedback || [];
+    const issues = feedback.filter((item) => (item.type || "issue") === "issue");
+    const severities = {};
+    issues.forEach((item) => {
+      severities[item.severity] = (severities[item.severity] || 0) + 1;
+    });
+    const breakdown = Object.entries(severities)
+      .map(([severity, count]) => `${count} ${severity}`)
+      .join(", ");
+
+    const labels = {
+      suggestion: ["suggestion", "suggestions"],
+      question: ["question", "questions"],
+      praise: ["note of praise", "notes of praise"],
+    };
+    const found = [
+      `${issues.length} issue${issues.length === 1 ? "" : "s"}${breakdown ? ` (${breakdown})` : ""}`,
+    ];
+    Object.entries(labels).forEach(([type, [singular, plural]]) => {
+      const count = feedback.filter((item) => item.type === type).length;
+      if (count > 0) found.push(`${count} ${count === 1 ? singular : plural}`);
+    });
+
+    const policy = repository.configuration?.reviewPolicy || {};
+    const requestChangesOn = policy.requestChangesOn || ["critical", "high"];
+    const outcomes = {
+      REQUEST_CHANGES: `requested changes: it requests changes for ${requestChangesOn.join(" or ")} issues${
+        policy.followVerdict !== false ? ", or when the model's verdict is to request changes" : ""
+      }`,
+      APPROVE: "approved the pull request: no blocking issues were found and approving is enabled",
+      COMMENT: "left comments only: nothing met the policy's bar for requesting changes",
+    };
+
+    let body = `The last review (commit \`${(review.commitSha || "").substring(0, 7)}\`) found ${
+      found.length > 1 ? `${found.slice(0, -1).join(", ")} and ${found[found.length - 1]}` : found[0]
+    }.`;
+
+    if (review.reviewEvent) {
+      body += `\n\nUnder this repository's review policy it ${outcomes[review.reviewEvent]}.`;
+    }
+
+    if (review.summary) {
+      body += `\n\n${review.summary}`;
+    }
+
+    body += "\n\nReply `/ai-explain` in the thread of an inline comment for details on that finding.";
+
+    await this.reply(context, body);
+  }
+
+  /**
+   * Leave matching findings out of this PR's future reviews
+   */
+  async ignore(context, rule) {
+    const { pullRequest, sender } = context;
+    const normalized = rule.trim().toLowerCase();
+
+    if (!normalized) {
+      const rules = (pullRequest.ignoredRules || []).map((r) => `\`${r.rule}\``);
+      return this.reply(
+        context,
+        rules.length
+          ? `Ignored on this PR: ${rules.join(", ")}`
+          : `Nothing is ignored on this PR.\n\n${HELP}`
+      );
+    }
+
+    await PullRequest.updateOne(
+      { _id: pullRequest._id, "ignoredRules.rule": { $ne: normalized } },
+      { $push: { ignoredRules: { rule: normalized, createdBy: sender } } }
+    );
+
+    await this.reply(context, `Future reviews of this PR will leave out \`${normalized}\` findings.`);
+  }
+
+  /**
+   * Close the bot finding that starts the thread and collapse its comment;
+   * "wontfix" also dismisses it for the whole repository
+   */
+  async resolve(context, args) {
+    const { repository, pullRequest, sender } = context;
+
+    if (args && args !== "wontfix") {
+      return this.reply(context, `Unknown option \`${args}\`.\n\n${HELP}`);
+    }
+
+    const finding = await this.getThreadFinding(context);
+
+    if (!finding) {
+      return this.reply(context, "`/ai-resolve` only works in a thread on one of my review comments.");
+    }
+
+    const key = this.commentProcessor.parseFindingKey(finding.body);
+
+    await PullRequest.updateOne(
+      { _id: pullRequest._id, "resolvedFindings.key": { $ne: key } },
+      { $push: { resolvedFindings: { key, path: finding.path, resolvedBy: sender } } }
+    );
+
+    try {
+      await githubService.minimizeComment(
+        repository.installationId,
+        finding.node_id,
+        "RESOLVED"
+      );
+    } catch (error) {
+      logger.warn("Failed to minimize resolved comment", {
+        error: error.message,
+        commentId: finding.id,
+      });
+    }
+
+    if (args === "wontfix") {
+      await suppressionService.dismissFinding(repository, pullRequest, finding, "command", sender);
+      await this.reply(
+        context,
+        `Dismissed as won't fix. Similar findings in \`${finding.path}\` won't be raised again; the rule can be widened or removed from the dashboard.`
+      );
+    }
+  }
+
+  /**
+   * Answer a developer's reply to one of the app's findings. When the model
+   * concedes to someone with write access, the finding is recorded as a false
+   * positive on the PR so later reviews don't raise it again. The PR author
+   * gets answers too, but can't talk a finding out of the review.
+   */
+  async answerReply(context) {
+    const { repository, pullRequest, sender } = context;
+
+    const finding = await this.getThreadFinding(context);
+    if (!finding) return;
+
+    // The PR author may always discuss the review, others need write access
+    const canWrite = await this.isAuthorized(repository, sender);
+    if (!canWrite && sender !== pullRequest.author?.username) {
+      logger.info(`Not answering ${sender} on PR #${pullRequest.prNumber}: not the author or a collaborator`);
+      return;
+    }
+
+    const thread = await this.getThreadComments(context, finding);
+    const answered = thread.filter((comment) => comment.user?.type === "Bot");
+    if (answered.length >= reviewConfig.maxThreadReplies) {
+      logger.info(`Not answering in thread ${finding.id}: reply limit reached`);
+      return;
+    }
+
+    const settings = llmService.resolveSettings(repository.configuration?.llm);
+    const prompt = this.promptBuilder.buildReplyPrompt(
+      {
+        path: finding.path,
+        line: finding.line || finding.original_line,
+        side: finding.side,
+        finding: this.stripMarkers(finding.body),
+        diffHunk: finding.diff_hunk,
+        fileContent: await this.getHeadContent(context, finding),
+        messages: thread.map((comment) => ({
+          author: comment.user?.type === "Bot" ? "You" : `@${comment.user?.login}`,
+          body: this.stripMarkers(comment.body),
+        })),
+        reply: context.comment.body,
+      },
+      llmService.getTokenBudget(settings)
+    );
+
+    const answer = await llmService.answerReply(prompt, settings);
+
+    if (answer.verdict === "concede" && !canWrite) {
+      await this.reply(
+        context,
+        `${answer.reply}\n\n_A maintainer can dismiss this finding with \`/ai-resolve\`._`
+      );
+      logger.info(`Not recording a false positive on ${finding.path}: ${sender} has no write access`, {
+        prNumber: pullRequest.prNumber,
+        commentId: finding.id,
+      });
+      return;
+    }
+
+    await this.reply(context, answer.reply);
+
+    if (answer.verdict === "concede") {
+      const key = this.commentProcessor.parseFindingKey(finding.body);
+
+      await PullRequest.updateOne(
+        { _id: pullRequest._id, "resolvedFindings.key": { $ne: key } },
+        {
+          $push: {
+            resolvedFindings: {
+              key,
+              path: finding.path,
+              reason: "false_positive",
+              resolvedBy: sender,
+            },
+          },
+        }
+      );
+
+      logger.info(`Finding on ${finding.path} recorded as a false positive`, {
+        prNumber: pullRequest.prNumber,
+        commentId: finding.id,
+      });
+    }
+  }
+
+  /**
+   * Replies in a thread before the current comment, oldest first
+   */
+  async getThreadComments(context, finding) {
+    const { repository, pullRequest, comment } = context;
+    const comments = await githubService.listReviewComments(
+      repository.installationId,
+      repository.owner,
+      repository.name,
+      pullRequest.prNumber
+    );
+
+    return comments
+      .filter((c) => c.in_reply_to_id === finding.id && c.id !== comment.id)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * The commented file at the PR head; null for removed code or when it
+   * can't be fetched, in which case the diff hunk has to do
+   */
+  async getHeadContent(context, finding) {
+    if (finding.side === "LEFT") return null;
+
+    const { repository, pullRequest } = context;
+
+    try {
+      return await githubService.getFileContent(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        finding.path,
+        pullRequest.lastCommitSha
+      );
+    } catch (error) {
+      logger.warn("Answering without the file content", {
+        error: error.message,
+        path: finding.path,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * The bot review comment at the root of the command's thread, if any
+   */
+  async getThreadFinding(context) {
+    if (!context.isReviewComment || !context.comment.in_reply_to_id) {
+      return null;
+    }
+
+    const { repository } = context;
+    const root = await githubService.getReviewComment(
+      repository.installationId,
+      repository.owner,
+      repository.name,
+      context.comment.in_reply_to_id
+    );
+
+    return this.commentProcessor.parseFindingKey(root.body) ? root : null;
+  }
+
+  stripMarkers(body) {
+    return (body || "").replace(/<!--[\s\S]*?-->/g, "").trim();
+  }
+
+  /**
+   * Answer in the command's thread, or on the PR for conversation comments
+   */
+  async reply(context, body) {
+    const { repository, pullRequest, comment } = context;
+
+    if (context.isReviewComment) {
+      return githubService.replyToReviewComment(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        pullRequest.prNumber,
+        comment.in_reply_to_id || comment.id,
+        body
+      );
+    }
+
+    return githubService.addComment(
+      repository.installationId,
+      repository.owner,
+      repository.name,
+      pullRequest.prNumber,
+      body
+    );
+  }
+
+  async react(context, content) {
+    const { repository, comment } = context;
+
+    try {
+      await githubService.addReaction(
+        repository.installationId,
+        repository.owner,
+        repository.name,
+        comment.id,
+        content,
+        context.isReviewComment
+      );
+    } catch (error) {
+      logger.warn("Failed to react to comment", {
+        error: error.message,
+        commentId: comment.id,
+      });
+    }
+  }
+}
+
+module.exports = new CommandService();
@@ -42,7 +42,9 @@ class GitHubService {
     repo,
     prNumber,
     comments,
-    commitSha
+    commitSha,
+    body = "## 🤖 AI Code Review\n\nI've analyzed your pull request. Here are my findings:",
+    event = "COMMENT"
   ) {
     try {
       const client = await this.getApiClient(installationId);
@@ -51,12 +53,14 @@ class GitHubService {
       try {
         const reviewData = {
           commit_id: commitSha,
-          body: "## 🤖 AI Code Review\n\nI've analyzed your pull request. Here are my findings:",
-          event: "COMMENT",
+          body,
+          event, // COMMENT, APPROVE or REQUEST_CHANGES
           comments: comments.map((comment) => ({
             path: comment.path,
             line: comment.line, // Use line number directly
-            side: "RIGHT", // Comment on the new version
+            side: comment.side || "RIGHT", // LEFT for removed lines
+            start_line: comment.start_line,
+            start_side: comment.start_side,
             body: comment.body,
           })),
         };
@@ -66,8 +70,10 @@ class GitHubService {
           reviewData
         );
 
-        logger.info(`Successfully posted ${comments.length} review comments`);
-        return { success: comments.length, failed: 0 };
+        logger.info(
+          `Successfully posted ${event} review with ${comments.length} comments`
+        );
+        return { success: comments.length, failed: 0, event };
       } catch (reviewError) {
         logger.warn(
           "Failed to create review with line-based comments, trying fallback",
@@ -77,7 +83,7 @@ class GitHubService {
         );
 
         // Fallback to individual comments
-        return await this.postCommentsIndividually(
+        const results = await this.postCommentsIndividually(
           client,
           owner,
           repo,
@@ -85,6 +91,25 @@ class GitHubService {
           comments,
           commitSha
         );
+
+        // Individual comments carry no verdict, so submit it on its own
+        results.event = "COMMENT";
+        if (event !== "COMMENT" && comments.length > 0) {
+          try {
+            await client.post(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
+              commit_id: commitSha,
+              body,
+              event,
+            });
+            results.event = event;
+          } catch (verdictError) {
+            logger.warn(`Failed to submit ${event} review without comments`, {
+              error: verdictError.response?.data || verdictError.message,
+            });
+          }
+        }
+
+        return results;
       }
     } catch (error) {
       logger.error("Error in createReviewWithComments", {
@@ -94,6 +119,88 @@ class GitHubService {
     }
   }
 
+  async listReviews(installationId, owner, repo, prNumber) {
+    try {
+      const client = await this.getApiClient(installationId);
+      return await this.getAllPages(
+        client,
+        `/repos/${owner}/${repo}/pulls/${prNumber}/reviews`
+      );
+    } catch (error) {
+      logger.error("Error listing reviews", {
+        error: error.message,
+        owner,
+        repo,
+        prNumber,
+      });
+      throw new Error(`Failed to list reviews: ${error.message}`);
+    }
+  }
+
+  async dismissReview(installationId, owner, repo, prNumber, reviewId, message) {
+    const client = await this.getApiClient(installationId);
+
+    const response = await client.put(
+      `/repos/${owner}/${repo}/pulls/${prNumber}/reviews/${reviewId}/dismissals`,
+      { message }
+    );
+
+    return response.data;
+  }
+
+  async createCheckRun(installationId, owner, repo, data) {
+    try {
+      const client = await this.getApiClient(installationId);
+      const response = await client.post(`/repos/${owner}/${repo}/check-runs`, data);
+      return response.data;
+    } catch (error) {
+      logger.error("Error creating check run", {
+        error: error.response?.data?.message || error.message,
+        owner,
+        repo,
+      });
+      throw new Error(`Failed to create check run: ${error.message}`);
+    }
+  }
+
+  async updateCheckRun(installationId, owner, repo, checkRunId, data) {
+    try {
+      const client = await this.getApiClient(installationId);
+      const response = await client.patch(
+        `/repos/${owner}/${repo}/check-runs/${checkRunId}`,
+        data
+      );
+      return response.data;
+    } catch (error) {
+      logger.error("Error updating check run", {
+        error: error.response?.data?.message || error.message,
+        owner,
+        repo,
+        checkRunId,
+      });
+      throw new Error(`Failed to update check run: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a review comment on a whole file rather than a line
+   */
+  async createFileComment(installationId, owner, repo, prNumber, comment, commitSha) {
+    const client = await this.getApiClient(installationId);
+
+    const response = await client.post(
+      `/repos/${owner}/${repo}/pulls/${prNumber}/comments`,
+      {
+        body: comment.body,
+        commit_id: commitSha,
+        path: comment.path,
+        subject_type: "file",
+      }
+    );
+
+    return response.data;
+  }
+
   /**
    * Post comments individually as fallback
    */
@@ -132,7 +239,9 @@ class GitHubService {
               commit_id: commitSha,
               path: comment.path,
               line: comment.line, // Use line number instead
-              side: "RIGHT",
+              side: comment.side || "RIGHT",
+              start_line: comment.start_line,
+              start_side: comment.start_side,
             }
           );
           successCount++;
@@ -190,6 +299,205 @@ class GitHubService {
     }
   }
 
+  async updateComment(installationId, owner, repo, commentId, body) {
+    try {
+      const client = await this.getApiClient(installationId);
+
+      const response = await client.patch(
+        `/repos/${owner}/${repo}/issues/comments/${commentId}`,
+        { body }
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.error("Error updating comment", {
+        error: error.message,
+        owner,
+        repo,
+        commentId,
+      });
+      const updateError = new Error(`Failed to update comment: ${error.message}`);
+      updateError.statusCode = error.response?.status;
+      throw updateError;
+    }
+  }
+
+  /**
+   * Fetch every page of a list endpoint
+   */
+  async getAllPages(client, url, params = {}) {
+    const perPage = 100;
+    const items = [];
+
+    for (let page = 1; ; page++) {
+      const response = await client.get(url, {
+        params: { ...params, per_page: perPage, page },
+      });
+      items.push(...response.data);
+
+      if (response.data.length < perPage) {
+        return items;
+      }
+    }
+  }
+
+  async listIssueComments(installationId, owner, repo, prNumber) {
+    try {
+      const client = await this.getApiClient(installationId);
+      return await this.getAllPages(
+        client,
+        `/repos/${owner}/${repo}/issues/${prNumber}/comments`
+      );
+    } catch (error) {
+      logger.error("Error listing issue comments", {
+        error: error.message,
+        owner,
+        repo,
+        prNumber,
+      });
+      throw new Error(`Failed to list comments: ${error.message}`);
+    }
+  }
+
+  async listReviewComments(installationId, owner, repo, prNumber) {
+    try {
+      const client = await this.getApiClient(installationId);
+      return await this.getAllPages(
+        client,
+        `/repos/${owner}/${repo}/pulls/${prNumber}/comments`
+      );
+    } catch (error) {
+      logger.error("Error listing review comments", {
+        error: error.message,
+        owner,
+        repo,
+        prNumber,
+      });
+      throw new Error(`Failed to list review comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collapse a comment in the GitHub UI
+   * @param {string} nodeId - GraphQL node id of the comment
+   * @param {string} classifier - RESOLVED, OUTDATED, DUPLICATE, ...
+   */
+  async minimizeComment(installationId, nodeId, classifier) {
+    const client = await this.getApiClient(installationId);
+
+    const response = await client.post("/graphql", {
+      query: `mutation($id: ID!, $classifier: ReportedContentClassifiers!) {
+        minimizeComment(input: { subjectId: $id, classifier: $classifier }) {
+          minimizedComment { isMinimized }
+        }
+      }`,
+      variables: { id: nodeId, classifier },
+    });
+
+    if (response.data.errors) {
+      throw new Error(response.data.errors.map((e) => e.message).join("; "));
+    }
+
+    return response.data.data.minimizeComment.minimizedComment;
+  }
+
+  async getReviewComment(installationId, owner, repo, commentId) {
+    const client = await this.getApiClient(installationId);
+
+    const response = await client.get(
+      `/repos/${owner}/${repo}/pulls/comments/${commentId}`
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Reply in the thread of an inline review comment
+   */
+  async replyToReviewComment(installationId, owner, repo, prNumber, commentId, body) {
+    try {
+      const client = await this.getApiClient(installationId);
+
+      const response = await client.post(
+        `/repos/${owner}/${repo}/pulls/${prNumber}/comments/${commentId}/replies`,
+        { body }
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.error("Error replying to review comment", {
+        error: error.message,
+        owner,
+        repo,
+        commentId,
+      });
+      throw new Error(`Failed to reply to comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * React to an issue comment, or to a review comment when isReviewComment is set
+   * @param {string} content - Reaction name, e.g. "eyes" or "rocket"
+   */
+  async addReaction(installationId, owner, repo, commentId, content, isReviewComment = false) {
+    const client = await this.getApiClient(installationId);
+    const kind = isReviewComment ? "pulls" : "issues";
+
+    const response = await client.post(
+      `/repos/${owner}/${repo}/${kind}/comments/${commentId}/reactions`,
+      { content }
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Users who reacted to a review comment with the given reaction
+   */
+  async listReviewCommentReactions(installationId, owner, repo, commentId, content) {
+    const client = await this.getApiClient(installationId);
+    return this.getAllPages(
+      client,
+      `/repos/${owner}/${repo}/pulls/comments/${commentId}/reactions`,
+      { content }
+    );
+  }
+
+  /**
+   * Whether a user may push to the repository (write, maintain or admin)
+   */
+  async hasWriteAccess(installationId, owner, repo, username) {
+    const permission = await this.getCollaboratorPermission(
+      installationId,
+      owner,
+      repo,
+      username
+    );
+
+    return ["admin", "write"].includes(permission);
+  }
+
+  /**
+   * Permission of a user on a repository: admin, write, read or none
+   */
+  async getCollaboratorPermission(installationId, owner, repo, username) {
+    try {
+      const client = await this.getApiClient(installationId);
+
+      const response = await client.get(
+        `/repos/${owner}/${repo}/collaborators/${username}/permission`
+      );
+
+      return response.data.permission;
+    } catch (error) {
+      // Not a collaborator at all
+      if (error.response?.status === 404) {
+        return "none";
+      }
+      throw error;
+    }
+  }
+
   async getRepository(installationId, owner, repo) {
     try {
       const client = await this.getApiClient(installationId);
@@ -251,14 +559,19 @@ class GitHubService {
 
       return Buffer.from(response.data.content, "base64").toString("utf8");
     } catch (error) {
-      logger.error("Error fetching file content", {
-        error: error.message,
-        owner,
-        repo,
-        path,
-        ref,
-      });
-      throw new Error(`Failed to get file content: ${error.message}`);
+      // A missing file is often expected, e.g. an optional config file
+      if (error.response?.status !== 404) {
+        logger.error("Error fetching file content", {
+          error: error.message,
+          owner,
+          repo,
+          path,
+          ref,
+        });
+      }
+      const fetchError = new Error(`Failed to get file content: ${error.message}`);
+      fetchError.statusCode = error.response?.status;
+      throw fetchError;
     }
   }
 
@@ -287,10 +600,13 @@ class GitHubService {
         });
         break;
 
+      case "push":
+        await webhookHelper.handlePushEvent(payload);
+        break;
+
+      case "issue_comment":
       case "pull_request_review_comment":
-        logger.info("Pull request review comment event received", {
-          action: payload.action,
-        });
+        await webhookHelper.handleCommentEvent(event, payload);
         break;
 
       default:
@@ -461,6 +777,57 @@ class GitHubService {
       throw new Error(`Failed to get commits: ${error.message}`);
     }
   }
+
+  async getBranch(installationId, owner, repo, branch) {
+    try {
+      const client = await this.getApiClient(installationId);
+      const response = await client.get(
+        `/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`
+      );
+      return response.data;
+    } catch (error) {
+      logger.error("Error fetching branch", {
+        error: error.message,
+        owner,
+        repo,
+        branch,
+      });
+      throw new Error(`Failed to get branch: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every file in the repository at a commit
+   * @returns {Object} { paths, files, truncated } - files are { path, sha, size };
+   *   GitHub truncates very large trees
+   */
+  async getTree(installationId, owner, repo, sha) {
+    try {
+      const client = await this.getApiClient(installationId);
+      const response = await client.get(
+        `/repos/${owner}/${repo}/git/trees/${sha}`,
+        { params: { recursive: 1 } }
+      );
+
+      const files = response.data.tree
+        .filter((entry) => entry.type === "blob")
+        .map((entry) => ({ path: entry.path, sha: entry.sha, size: entry.size }));
+
+      return {
+        paths: files.map((file) => file.path),
+        files,
+        truncated: response.data.truncated,
+      };
+    } catch (error) {
+      logger.error("Error fetching repository tree", {
+        error: error.message,
+        owner,
+        repo,
+        sha,
+      });
+      throw new Error(`Failed to get tree: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new GitHubService();
@@ -0,0 +1,171 @@
+// indexQueueService.js - MongoDB-backed queue and worker loop for knowledge index builds
+const os = require("os");
+const IndexJob = require("../models/IndexJob");
+const InstallationSlot = require("../models/InstallationSlot");
+const Repository = require("../models/Repository");
+const repositoryIndexService = require("./repositoryIndexService");
+const { index: indexConfig } = require("../config/env");
+const logger = require("../utils/logger");
+
+// Times a build may lose its worker before it is given up
+const MAX_ATTEMPTS = 3;
+
+class IndexQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.activeJobs = new Map();
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling for builds
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), indexConfig.queue.pollIntervalMs);
+    logger.info(`Index worker ${this.workerId} started`);
+  }
+
+  /**
+   * Stop polling and wait for running builds to settle
+   */
+  async stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    await Promise.allSettled(this.activeJobs.values());
+  }
+
+  /**
+   * Claim and start as many builds as the concurrency limit allows
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < indexConfig.queue.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const key = job._id.toString();
+        const run = this.runJob(job).finally(() => this.activeJobs.delete(key));
+        this.activeJobs.set(key, run);
+      }
+    } catch (error) {
+      logger.error("Error polling index queue", { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Lease the next due build whose installation has a free slot, as
+   * ReviewQueueService.claimNext does for reviews
+   */
+  async claimNext() {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + indexConfig.queue.leaseMs);
+    const claimable = {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lte: now } },
+      ],
+    };
+    const saturated = [];
+
+    for (;;) {
+      const candidate = await IndexJob.findOne({
+        ...claimable,
+        installationId: { $nin: saturated },
+      }).sort({ runAt: 1 });
+      if (!candidate) return null;
+
+      const jobId = candidate._id.toString();
+      const acquired = await InstallationSlot.acquire(
+        "index",
+        candidate.installationId,
+        jobId,
+        indexConfig.queue.perInstallationConcurrency,
+        lockedUntil
+      );
+      if (!acquired) {
+        saturated.push(candidate.installationId);
+        continue;
+      }
+
+      const job = await IndexJob.findOneAndUpdate(
+        { _id: candidate._id, ...claimable },
+        {
+          $set: { status: "running", lockedBy: this.workerId, lockedUntil, startedAt: now },
+          $inc: { attempts: 1 },
+        },
+        { new: true }
+      );
+      if (job) return job;
+
+      // Another worker claimed the build first
+      await InstallationSlot.release("index", candidate.installationId, jobId);
+    }
+  }
+
+  /**
+   * Run a claimed build, keeping its lease alive until it settles
+   */
+  async runJob(job) {
+    const jobId = job._id.toString();
+    const heartbeat = setInterval(() => {
+      const lockedUntil = new Date(Date.now() + indexConfig.queue.leaseMs);
+
+      Promise.all([
+        IndexJob.updateOne({ _id: job._id, lockedBy: this.workerId }, { $set: { lockedUntil } }),
+        InstallationSlot.renew("index", job.installationId, jobId, lockedUntil),
+      ]).catch((error) => {
+        logger.warn("Failed to renew index job lease", {
+          error: error.message,
+          jobId: job._id,
+        });
+      });
+    }, Math.floor(indexConfig.queue.leaseMs / 3));
+
+    let status = "completed";
+    let lastError;
+
+    try {
+      const repository = await Repository.findById(job.repositoryId);
+
+      if (job.attempts > MAX_ATTEMPTS) {
+        status = "failed";
+        lastError = "Lease expired too often";
+      } else if (repository && repository.isActive) {
+        await repositoryIndexService.buildIndex(repository);
+      }
+    } catch (error) {
+      // buildIndex records the failure on the repository; the next push retries
+      status = "failed";
+      lastError = error.message;
+    } finally {
+      clearInterval(heartbeat);
+
+      await IndexJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: { status, lastError, completedAt: new Date() },
+          $unset: { lockedBy: "", lockedUntil: "" },
+        }
+      ).catch((error) => {
+        logger.warn("Failed to finish index job", { error: error.message, jobId: job._id });
+      });
+
+      await InstallationSlot.release("index", job.installationId, jobId).catch((error) => {
+        logger.warn("Failed to release installation slot", {
+          error: error.message,
+          jobId: job._id,
+        });
+      });
+    }
+  }
+}
+
+module.exports = new IndexQueueService();
@@ -0,0 +1,64 @@
+// services/llm/anthropicProvider.js - Anthropic Messages API
+const axios = require("axios");
+
+class AnthropicProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} options.defaultModel - Model used when none is configured
+   */
+  constructor({ apiKey, defaultModel }) {
+    if (!apiKey) {
+      throw new Error("Missing API key for LLM provider: anthropic");
+    }
+
+    this.name = "anthropic";
+    this.defaultModel = defaultModel;
+    this.client = axios.create({
+      baseURL: "https://api.anthropic.com/v1",
+      headers: {
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+        "content-type": "application/json",
+      },
+    });
+  }
+
+  supportsJsonMode() {
+    return false;
+  }
+
+  async complete({ model, system, prompt, temperature, maxTokens }) {
+    try {
+      const response = await this.client.post("/messages", {
+        model,
+        system,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+      });
+
+      const content = response.data.content
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+
+      return {
+        content,
+        usage: {
+          inputTokens: response.data.usage?.input_tokens,
+          outputTokens: response.data.usage?.output_tokens,
+        },
+      };
+    } catch (error) {
+      if (error.response?.status === 429) {
+        throw new Error("anthropic rate limit exceeded. Please try again later.");
+      }
+
+      const message = error.response?.data?.error?.message || error.message;
+      throw new Error(`Anthropic request failed: ${message}`);
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,47 @@
+// services/llm/fixtureProvider.js - Deterministic canned responses read from disk
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+
+/**
+ * Looks up `<dir>/<sha256 of prompt>.json` first and falls back to
+ * `<dir>/default.json`, so the review pipeline can run without a network.
+ */
+class FixtureProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the fixture files
+   */
+  constructor({ dir }) {
+    this.name = "fixture";
+    this.defaultModel = "fixture";
+    this.dir = path.resolve(dir);
+  }
+
+  supportsJsonMode() {
+    return true;
+  }
+
+  async complete({ prompt }) {
+    const promptHash = crypto.createHash("sha256").update(prompt).digest("hex");
+    const candidates = [
+      path.join(this.dir, `${promptHash}.json`),
+      path.join(this.dir, "default.json"),
+    ];
+
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+      throw new Error(`No LLM fixture found in ${this.dir} for prompt ${promptHash}`);
+    }
+
+    logger.debug(`Serving LLM fixture ${path.basename(file)}`);
+
+    return {
+      content: await fs.promises.readFile(file, "utf8"),
+      usage: { inputTokens: 0, outputTokens: 0 },
+    };
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,70 @@
+// services/llm/index.js - Registry of LLM providers
+//
+// Every provider exposes the same interface:
+//   name                      - provider name
+//   defaultModel              - model used when none is configured
+//   supportsJsonMode(model)   - whether native JSON output can be requested
+//   complete({ model, system, prompt, temperature, maxTokens, json })
+//     -> Promise<{ content: string, usage: { inputTokens, outputTokens } }>
+const config = require("../../config/env");
+const OpenAIProvider = require("./openaiProvider");
+const AnthropicProvider = require("./anthropicProvider");
+const FixtureProvider = require("./fixtureProvider");
+
+const factories = {
+  openai: () =>
+    new OpenAIProvider({
+      name: "openai",
+      apiKey: config.openai.apiKey,
+      defaultModel: config.openai.model,
+    }),
+  "openai-compatible": () => {
+    if (!config.openaiCompatible.baseUrl) {
+      throw new Error("OPENAI_COMPATIBLE_BASE_URL is required for openai-compatible");
+    }
+    return new OpenAIProvider({
+      name: "openai-compatible",
+      apiKey: config.openaiCompatible.apiKey,
+      baseURL: config.openaiCompatible.baseUrl,
+      defaultModel: config.openaiCompatible.model,
+    });
+  },
+  anthropic: () =>
+    new AnthropicProvider({
+      apiKey: config.anthropic.apiKey,
+      defaultModel: config.anthropic.model,
+    }),
+  fixture: () => new FixtureProvider({ dir: config.fixture.dir }),
+};
+
+const providers = new Map();
+
+/**
+ * Get a provider instance by name, creating it on first use
+ * @param {string} [name] - Provider name, defaults to LLM_PROVIDER
+ */
+const getProvider = (name = config.llm.provider) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, factories[name]());
+  }
+
+  return providers.get(name);
+};
+
+const PROVIDER_NAMES = Object.keys(factories);
+
+// Providers a repository may pick for itself; the fixture provider's canned
+// approvals must not be selectable from a repository's config file
+const REPOSITORY_PROVIDER_NAMES = PROVIDER_NAMES.filter(
+  (name) => name !== "fixture" || config.llm.allowRepositoryFixture
+);
+
+module.exports = {
+  getProvider,
+  PROVIDER_NAMES,
+  REPOSITORY_PROVIDER_NAMES,
+};
@@ -0,0 +1,79 @@
+// services/llm/openaiProvider.js - OpenAI and OpenAI-compatible chat completions
+const OpenAI = require("openai");
+const logger = require("../../utils/logger");
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in logs
+   * @param {string} options.apiKey - API key
+   * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible server
+   * @param {string} options.defaultModel - Model used when none is configured
+   */
+  constructor({ name, apiKey, baseURL, defaultModel }) {
+    if (!apiKey) {
+      throw new Error(`Missing API key for LLM provider: ${name}`);
+    }
+
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.isCompatible = !!baseURL;
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  /**
+   * Check if the model supports response_format: json_object
+   */
+  supportsJsonMode(model) {
+    // Compatible servers vary too much; rely on the prompt instead
+    if (this.isCompatible) return false;
+    return model.includes("gpt-4") || model.includes("gpt-3.5-turbo-1106");
+  }
+
+  async complete({ model, system, prompt, temperature, maxTokens, json }) {
+    const requestOptions = {
+      model,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: prompt },
+      ],
+      temperature,
+      max_tokens: maxTokens,
+    };
+
+    if (json && this.supportsJsonMode(model)) {
+      requestOptions.response_format = { type: "json_object" };
+    }
+
+    try {
+      const response = await this.client.chat.completions.create(
+        requestOptions
+      );
+
+      return {
+        content: response.choices[0].message.content,
+        usage: {
+          inputTokens: response.usage?.prompt_tokens,
+          outputTokens: response.usage?.completion_tokens,
+        },
+      };
+    } catch (error) {
+      if (error.status === 429) {
+        throw new Error(`${this.name} rate limit exceeded. Please try again later.`);
+      }
+
+      if (
+        error.status === 400 &&
+        requestOptions.response_format &&
+        error.message.includes("response_format")
+      ) {
+        logger.info("Retrying without JSON mode due to model limitations");
+        return this.complete({ model, system, prompt, temperature, maxTokens, json: false });
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
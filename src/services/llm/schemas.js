@@ -0,0 +1,97 @@
+// services/llm/schemas.js - JSON schemas the LLM responses must match
+
+const commentSchema = {
+  type: "object",
+  required: ["file", "line", "snippet", "comment"],
+  properties: {
+    file: { type: "string", minLength: 1 },
+    line: { type: "integer", minimum: 1 },
+    // LEFT comments use old-file line numbers (removed code)
+    side: { enum: ["LEFT", "RIGHT"] },
+    // First line of a multi-line range, on the same side as line
+    startLine: { type: "integer", minimum: 1 },
+    // Code quoted from the commented line, used to verify the line number
+    snippet: { type: "string", minLength: 1 },
+    type: { type: "string" },
+    severity: { enum: ["critical", "high", "medium", "low"] },
+    category: { type: "string" },
+    comment: { type: "string", minLength: 1 },
+    suggestion: { type: "string" },
+    // Code replacing lines startLine..line of the new file, posted as a
+    // GitHub suggested change
+    replacement: { type: "string" },
+    context: { type: "string" },
+  },
+};
+
+const metricsSchema = {
+  type: "object",
+  additionalProperties: { type: "number", minimum: 1, maximum: 10 },
+};
+
+// Response to a review prompt (whole PR or one chunk)
+const reviewResponseSchema = {
+  type: "object",
+  required: ["summary", "comments"],
+  properties: {
+    summary: { type: "string", minLength: 1 },
+    comments: { type: "array", items: commentSchema },
+    metrics: metricsSchema,
+    overallAssessment: {
+      type: "object",
+      properties: {
+        verdict: { enum: ["approve", "request_changes", "needs_discussion"] },
+        reasoning: { type: "string" },
+      },
+    },
+    crossFileNotes: { type: "array", items: { type: "string" } },
+  },
+};
+
+// Response to the synthesis prompt that merges chunk results
+const synthesisResponseSchema = {
+  type: "object",
+  required: ["summary", "comments"],
+  properties: {
+    summary: { type: "string", minLength: 1 },
+    comments: { type: "array", items: commentSchema },
+    duplicates: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["keep", "remove"],
+        properties: {
+          keep: { type: "integer" },
+          remove: { type: "array", items: { type: "integer" } },
+        },
+      },
+    },
+  },
+};
+
+// Response to an /ai-explain prompt
+const explanationResponseSchema = {
+  type: "object",
+  required: ["explanation"],
+  properties: {
+    explanation: { type: "string", minLength: 1 },
+  },
+};
+
+// Response to a developer's reply in a review thread
+const replyResponseSchema = {
+  type: "object",
+  required: ["reply", "verdict"],
+  properties: {
+    reply: { type: "string", minLength: 1 },
+    // concede: the finding was wrong; maintain: it still holds; clarify: answered a question
+    verdict: { enum: ["concede", "maintain", "clarify"] },
+  },
+};
+
+module.exports = {
+  reviewResponseSchema,
+  synthesisResponseSchema,
+  explanationResponseSchema,
+  replyResponseSchema,
+};
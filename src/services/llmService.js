@@ -0,0 +1,299 @@
+// llmService.js - Review-level LLM calls on top of the pluggable providers
+const Ajv = require("ajv");
+const { getProvider } = require("./llm");
+const {
+  reviewResponseSchema,
+  synthesisResponseSchema,
+  explanationResponseSchema,
+  replyResponseSchema,
+} = require("./llm/schemas");
+const TokenBudget = require("../helpers/tokenBudget");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+
+class LLMService {
+  constructor() {
+    // coerceTypes turns "12" into 12 for line numbers instead of rejecting it
+    this.ajv = new Ajv({ allErrors: true, coerceTypes: true });
+    this.validators = new Map();
+  }
+
+  /**
+   * Resolve the provider and model for a call
+   * @param {Object} options - { provider, model }, usually from repository config
+   */
+  resolve(options = {}) {
+    const provider = getProvider(options.provider || undefined);
+    const model = options.model || provider.defaultModel;
+
+    return { provider, model };
+  }
+
+  /**
+   * Resolve provider and model names, validating the provider exists
+   */
+  resolveSettings(settings = {}) {
+    const { provider, model } = this.resolve(settings);
+    return { provider: provider.name, model, contextWindow: settings.contextWindow };
+  }
+
+  /**
+   * Token budget for a call, reserving the system prompt and the output
+   */
+  getTokenBudget(settings = {}) {
+    const { provider, model } = this.resolve(settings);
+
+    return new TokenBudget(model, {
+      contextWindow: settings.contextWindow,
+      systemPrompt: this.getSystemPrompt(provider.supportsJsonMode(model)),
+    });
+  }
+
+  /**
+   * Counters for LLM output quality, accumulated across the calls of a review
+   */
+  createMetrics() {
+    return {
+      calls: 0,
+      malformedResponses: 0,
+      repairAttempts: 0,
+      repairedResponses: 0,
+      invalidResponses: 0,
+    };
+  }
+
+  /**
+   * Call the LLM and return its response once it matches the schema.
+   * Malformed output is sent back to the model up to LLM_MAX_REPAIR_ATTEMPTS
+   * times; if it still doesn't match, an error carrying the violations is thrown.
+   * @param {Object} options - { provider, model, contextWindow, metrics }
+   */
+  async analyzeCode(prompt, options = {}, schema = reviewResponseSchema) {
+    const { provider, model } = this.resolve(options);
+    const supportsJsonMode = provider.supportsJsonMode(model);
+    const budget = this.getTokenBudget(options);
+    const metrics = options.metrics || this.createMetrics();
+    const validate = this.getValidator(schema);
+
+    const complete = async (userPrompt) => {
+      metrics.calls++;
+      const response = await provider.complete({
+        model,
+        system: this.getSystemPrompt(supportsJsonMode),
+        prompt: userPrompt,
+        temperature: 0.3,
+        maxTokens: budget.outputTokens,
+        json: true,
+      });
+      return response.content;
+    };
+
+    try {
+      let content = await complete(prompt);
+      let { value, violations } = this.parseResponse(content, validate);
+      let repairs = 0;
+
+      while (violations) {
+        metrics.malformedResponses++;
+        logger.warn("LLM response does not match the schema", {
+          provider: provider.name,
+          model,
+          violations,
+          response: (content || "").substring(0, 500),
+        });
+
+        if (repairs >= config.llm.maxRepairAttempts) {
+          metrics.invalidResponses++;
+          const error = new Error(
+            `LLM response does not match the schema: ${violations.slice(0, 3).join("; ")}`
+          );
+          error.violations = violations;
+          throw error;
+        }
+
+        repairs++;
+        metrics.repairAttempts++;
+        content = await complete(this.buildRepairPrompt(content, violations, schema));
+        ({ value, violations } = this.parseResponse(content, validate));
+      }
+
+      if (repairs > 0) {
+        metrics.repairedResponses++;
+      }
+
+      return value;
+    } catch (error) {
+      logger.error("Error calling LLM provider", {
+        error: error.message,
+        provider: provider.name,
+        model,
+        stack: error.stack
+      });
+
+      throw error;
+    }
+  }
+
+  getValidator(schema) {
+    if (!this.validators.has(schema)) {
+      this.validators.set(schema, this.ajv.compile(schema));
+    }
+    return this.validators.get(schema);
+  }
+
+  /**
+   * Parse and validate raw output, returning { value } or { violations }
+   */
+  parseResponse(content, validate) {
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (error) {
+      return { violations: [`response is not valid JSON: ${error.message}`] };
+    }
+
+    if (!validate(value)) {
+      return {
+        violations: validate.errors.map(
+          (error) => `${error.instancePath || "/"} ${error.message}`
+        ),
+      };
+    }
+
+    return { value };
+  }
+
+  /**
+   * Ask the model to fix its own malformed output
+   */
+  buildRepairPrompt(content, violations, schema) {
+    return `Your previous response could not be used because it does not match the required JSON schema.
+
+PROBLEMS:
+${violations.map((violation) => `- ${violation}`).join("\n")}
+
+PREVIOUS RESPONSE:
+${content}
+
+Respond again with only the corrected JSON object. Fix the problems above, keep every finding that can be kept, and match this JSON schema:
+${JSON.stringify(schema)}`;
+  }
+
+  getSystemPrompt(supportsJsonMode) {
+    const basePrompt = `You are an expert code reviewer with 15+ years of experience. Analyze code changes and provide detailed feedback as a senior software engineer would.
+
+Your expertise includes:
+- Security vulnerabilities and best practices
+- Performance optimization
+- Code architecture and design patterns
+- Error handling and edge cases
+- Code maintainability and readability
+
+Provide constructive, actionable feedback that helps developers improve.`;
+
+    if (supportsJsonMode) {
+      return basePrompt + "\n\nIMPORTANT: You must respond with valid JSON that matches the schema provided in the user prompt.";
+    } else {
+      return basePrompt + `\n\nIMPORTANT: You must respond ONLY with valid JSON that matches the schema provided. Do not include any text before or after the JSON. Start your response with '{' and end with '}'. Make sure the JSON is properly formatted and valid.`;
+    }
+  }
+
+  /**
+   * Fill in defaults on a response that already matched the schema
+   */
+  validateJsonResponse(response) {
+    return {
+      summary: response.summary,
+      comments: response.comments.map(comment => ({
+        file: comment.file,
+        line: comment.line,
+        side: comment.side || 'RIGHT',
+        startLine: comment.startLine,
+        snippet: comment.snippet,
+        type: comment.type || 'suggestion',
+        severity: comment.severity || 'medium',
+        category: comment.category || 'general',
+        comment: comment.comment,
+        suggestion: comment.suggestion,
+        replacement: comment.replacement,
+        context: comment.context
+      })),
+      metrics: response.metrics || {},
+      overallAssessment: response.overallAssessment || {},
+      crossFileNotes: response.crossFileNotes || []
+    };
+  }
+
+  /**
+   * Same as validateJsonResponse, plus the duplicate groups of a synthesis
+   */
+  validateSynthesisResponse(response) {
+    return {
+      ...this.validateJsonResponse(response),
+      duplicates: response.duplicates || []
+    };
+  }
+
+  async analyzeCodeWithRetry(prompt, options = {}, maxRetries = 2) {
+    return this.withRetry(
+      async () => this.validateJsonResponse(await this.analyzeCode(prompt, options)),
+      maxRetries
+    );
+  }
+
+  async synthesizeReview(prompt, options = {}, maxRetries = 2) {
+    return this.withRetry(
+      async () =>
+        this.validateSynthesisResponse(
+          await this.analyzeCode(prompt, options, synthesisResponseSchema)
+        ),
+      maxRetries
+    );
+  }
+
+  /**
+   * Explain one finding in Markdown, for the /ai-explain command
+   */
+  async explainFinding(prompt, options = {}) {
+    const response = await this.analyzeCode(
+      prompt,
+      options,
+      explanationResponseSchema
+    );
+    return response.explanation;
+  }
+
+  /**
+   * Answer a developer's reply to a finding
+   * @returns {Object} { reply, verdict }
+   */
+  async answerReply(prompt, options = {}) {
+    return this.analyzeCode(prompt, options, replyResponseSchema);
+  }
+
+  /**
+   * Retry mechanism with exponential backoff
+   */
+  async withRetry(call, maxRetries) {
+    let lastError;
+    
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        return await call();
+      } catch (error) {
+        lastError = error;
+        
+        if (attempt < maxRetries) {
+          const delay = Math.pow(2, attempt) * 1000;
+          logger.warn(`LLM attempt ${attempt + 1} failed, retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+    
+    logger.error("All LLM attempts failed", { error: lastError.message });
+    throw lastError;
+  }
+}
+
+module.exports = new LLMService();
\ No newline at end of file
@@ -3,6 +3,7 @@ const PullRequest = require("../models/PullRequest");
 const Repository = require("../models/Repository");
 const Installation = require("../models/Installation");
 const githubService = require("./githubService");
+const reviewQueueService = require("./reviewQueueService");
 const logger = require("../utils/logger");
 
 class PullRequestService {
@@ -255,11 +256,9 @@ class PullRequestService {
     }
   }
 
-  async triggerReview(pullRequestId) {
+  async triggerReview(pullRequestId, isReReview = false, userId) {
     try {
-      const pullRequest = await PullRequest.findById(pullRequestId).populate(
-        "repositoryId"
-      );
+      const pullRequest = await PullRequest.findById(pullRequestId);
 
       if (!pullRequest) {
         throw new Error("Pull request not found");
@@ -268,7 +267,16 @@ class PullRequestService {
       const reviewId = `review_${Date.now()}`;
       await pullRequest.addReview({
         reviewId,
-        status: "in_progress",
+        status: "pending",
+        commitSha: pullRequest.lastCommitSha,
+        isReReview,
+      });
+
+      await reviewQueueService.enqueue(pullRequest, {
+        userId,
+        reviewId,
+        isReReview,
+        source: "manual",
       });
 
       logger.info(`Triggered review for PR #${pullRequest.prNumber}`);
@@ -0,0 +1,291 @@
+// repositoryIndexService.js - Knowledge index of each repository's default branch
+const IndexedFile = require("../models/IndexedFile");
+const IndexJob = require("../models/IndexJob");
+const Repository = require("../models/Repository");
+const githubService = require("./githubService");
+const CodeIndexer = require("../helpers/codeIndexer");
+const GeneratedFileClassifier = require("../helpers/generatedFileClassifier");
+const RepositoryConfigLoader = require("../helpers/repositoryConfigLoader");
+const { filterPaths } = require("../utils/pathFilter");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+
+// Larger files are bundles or data rather than code worth describing
+const MAX_INDEXED_FILE_SIZE = 100000;
+
+// Index entries written to Mongo at once
+const WRITE_BATCH_SIZE = 100;
+
+// A build running this long died with its process and may be started again
+const BUILD_TIMEOUT_MS = 60 * 60 * 1000;
+
+class RepositoryIndexService {
+  constructor() {
+    this.codeIndexer = new CodeIndexer();
+    this.generatedFileClassifier = new GeneratedFileClassifier();
+    this.configLoader = new RepositoryConfigLoader();
+  }
+
+  isBuilding(repository) {
+    const index = repository.knowledgeIndex || {};
+    return (
+      index.status === "building" &&
+      new Date(index.startedAt).getTime() > Date.now() - BUILD_TIMEOUT_MS
+    );
+  }
+
+  /**
+   * Whether reviews of the repository will read its index: automatic
+   * reviews are on, or earlier reviews already asked for it
+   */
+  isIndexWanted(repository) {
+    return (
+      config.review.knowledgeTokens > 0 &&
+      repository.isActive !== false &&
+      Boolean(repository.configuration?.autoReview || repository.knowledgeIndex?.status)
+    );
+  }
+
+  /**
+   * Queue a build; indexQueueService runs it with the per-installation limit,
+   * and webhooks and reviews don't wait for it
+   */
+  async scheduleBuild(repository) {
+    try {
+      return await IndexJob.enqueue(repository);
+    } catch (error) {
+      logger.warn(`Knowledge index build of ${repository.fullName} was not queued`, {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Bring the index up to date with the head of the default branch. Files
+   * whose blob is unchanged since the last build are not read again.
+   * @returns {Object|null} The new knowledgeIndex state, or null when
+   *   another build is already running
+   */
+  async buildIndex(repository) {
+    const startedAt = new Date();
+
+    // Claimed atomically, so concurrent pushes start one build
+    const claimed = await Repository.findOneAndUpdate(
+      {
+        _id: repository._id,
+        $or: [
+          { "knowledgeIndex.status": { $ne: "building" } },
+          { "knowledgeIndex.startedAt": { $lt: new Date(Date.now() - BUILD_TIMEOUT_MS) } },
+        ],
+      },
+      {
+        $set: { "knowledgeIndex.status": "building", "knowledgeIndex.startedAt": startedAt },
+        $unset: { "knowledgeIndex.error": "" },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      logger.info(`Knowledge index of ${repository.fullName} is already being built`);
+      return null;
+    }
+
+    try {
+      const { updated, ...result } = await this.indexDefaultBranch(claimed);
+      const knowledgeIndex = {
+        status: "ready",
+        ...result,
+        startedAt,
+        indexedAt: new Date(),
+      };
+
+      await Repository.updateOne({ _id: claimed._id }, { $set: { knowledgeIndex } });
+
+      logger.info(`Knowledge index built for ${claimed.fullName}`, {
+        commitSha: result.commitSha,
+        fileCount: result.fileCount,
+        updated,
+        durationMs: Date.now() - startedAt.getTime(),
+      });
+
+      return knowledgeIndex;
+    } catch (error) {
+      logger.error("Error building knowledge index", {
+        error: error.message,
+        repository: claimed.fullName,
+      });
+
+      // Entries from the last build stay in use
+      await Repository.updateOne(
+        { _id: claimed._id },
+        { $set: { "knowledgeIndex.status": "failed", "knowledgeIndex.error": error.message } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Read the default branch and write its entries
+   * @returns {Object} { branch, commitSha, fileCount, truncated, updated }
+   */
+  async indexDefaultBranch(repository) {
+    const { installationId, owner, name } = repository;
+
+    const repoInfo = await githubService.getRepository(installationId, owner, name);
+    const branch = repoInfo.default_branch;
+    const head = await githubService.getBranch(installationId, owner, name, branch);
+    const commitSha = head.commit.sha;
+
+    // Paths a review would skip aren't the project's code either
+    const loaded = await this.configLoader.load(repository, { baseBranch: branch });
+    const configuration = this.configLoader.merge(
+      repository.toObject().configuration || {},
+      loaded.config
+    );
+    const attributes = await this.generatedFileClassifier.loadAttributes(repository, {
+      baseBranch: branch,
+    });
+
+    const tree = await githubService.getTree(installationId, owner, name, commitSha);
+    const candidates = this.selectFiles(tree.files, configuration, attributes);
+    const files = candidates.slice(0, config.index.maxFiles);
+
+    const existing = new Map(
+      (
+        await IndexedFile.find(
+          { repositoryId: repository._id },
+          { path: 1, blobSha: 1, embedding: { $slice: 1 } }
+        ).lean()
+      ).map((entry) => [entry.path, entry])
+    );
+
+    const writes = [];
+    let updated = 0;
+
+    for (const file of files) {
+      const entry = existing.get(file.path);
+      const hasEmbedding = Boolean(entry?.embedding?.length);
+      if (entry && entry.blobSha === file.sha && hasEmbedding === config.index.embeddings) {
+        continue;
+      }
+
+      let content;
+      try {
+        content = await githubService.getFileContent(installationId, owner, name, file.path, commitSha);
+      } catch (error) {
+        logger.warn("Could not read file for the knowledge index", {
+          error: error.message,
+          path: file.path,
+        });
+        continue;
+      }
+
+      const { embedding, ...description } = this.codeIndexer.describe(file.path, content, {
+        embeddings: config.index.embeddings,
+      });
+
+      writes.push({
+        updateOne: {
+          filter: { repositoryId: repository._id, path: file.path },
+          update: embedding
+            ? { $set: { blobSha: file.sha, ...description, embedding } }
+            : { $set: { blobSha: file.sha, ...description }, $unset: { embedding: "" } },
+          upsert: true,
+        },
+      });
+      updated++;
+
+      if (writes.length >= WRITE_BATCH_SIZE) {
+        await IndexedFile.bulkWrite(writes.splice(0));
+      }
+    }
+
+    if (writes.length > 0) {
+      await IndexedFile.bulkWrite(writes);
+    }
+
+    await IndexedFile.deleteMany({
+      repositoryId: repository._id,
+      path: { $nin: files.map((file) => file.path) },
+    });
+
+    return {
+      branch,
+      commitSha,
+      fileCount: files.length,
+      truncated: Boolean(tree.truncated) || candidates.length > files.length,
+      updated,
+    };
+  }
+
+  /**
+   * Source files in languages the indexer reads, without paths the
+   * configuration excludes and without generated or vendored code
+   * @param {Array} files - { path, sha, size } from getTree
+   */
+  selectFiles(files, configuration, attributes) {
+    const { included } = filterPaths(
+      files.map((file) => file.path),
+      configuration
+    );
+    const includedPaths = new Set(included);
+
+    const candidates = files
+      .filter(
+        (file) =>
+          includedPaths.has(file.path) &&
+          file.size <= MAX_INDEXED_FILE_SIZE &&
+          this.codeIndexer.supports(file.path)
+      )
+      .map((file) => ({ ...file, filename: file.path }));
+
+    // Generated code is never indexed, even where reviews are told to include it
+    return this.generatedFileClassifier.partition(candidates, attributes, {
+      review: configuration.generatedFiles?.review,
+    }).kept;
+  }
+
+  /**
+   * Index entries most like some changed code. Repositories that have never
+   * been indexed get a build queued, and are reviewed without entries.
+   * @param {Object} repository - Repository with its knowledgeIndex state
+   * @param {string} text - The changed code
+   * @param {Array<string>} excludePaths - Files the prompt shows already
+   * @returns {Array} [{ path, summary, symbols, matchedTerms, score }], see CodeIndexer.rank
+   */
+  async retrieve(repository, text, excludePaths = []) {
+    if (config.review.knowledgeTokens <= 0) {
+      return [];
+    }
+
+    try {
+      if (!repository.knowledgeIndex?.status) {
+        await this.scheduleBuild(repository);
+        return [];
+      }
+
+      const entries = await IndexedFile.find(
+        { repositoryId: repository._id, path: { $nin: excludePaths } },
+        `path summary symbols terms${config.index.embeddings ? " embedding" : ""}`
+      ).lean();
+
+      return this.codeIndexer.rank(entries, text, {
+        limit: config.index.maxResults,
+        embeddings: config.index.embeddings,
+      });
+    } catch (error) {
+      logger.warn("Reviewing without the knowledge index", {
+        error: error.message,
+        repository: repository.fullName,
+      });
+      return [];
+    }
+  }
+
+  async countEntries(repositoryId) {
+    return IndexedFile.countDocuments({ repositoryId });
+  }
+}
+
+module.exports = new RepositoryIndexService();
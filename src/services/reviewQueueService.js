@@ -0,0 +1,462 @@
+// reviewQueueService.js - MongoDB-backed queue and worker loop for AI reviews
+const os = require("os");
+const ReviewJob = require("../models/ReviewJob");
+const PullRequest = require("../models/PullRequest");
+const Installation = require("../models/Installation");
+const InstallationSlot = require("../models/InstallationSlot");
+const aiReviewService = require("./aiReviewService");
+const creditService = require("./CreditService");
+const notificationService = require("./notificationService");
+const ReviewManager = require("../helpers/reviewManager");
+const { review: reviewConfig } = require("../config/env");
+const logger = require("../utils/logger");
+
+class ReviewQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.reviewManager = new ReviewManager();
+    this.activeJobs = new Map();
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Queue a review job for a pull request
+   */
+  async enqueue(pullRequest, options = {}) {
+    const {
+      userId,
+      reviewId,
+      isReReview,
+      fullReview,
+      source = "manual",
+      delayMs = 0,
+      dedupe = false,
+    } = options;
+
+    const initial = {
+      pullRequestId: pullRequest._id,
+      installationId: pullRequest.installationId,
+      userId,
+      reviewId,
+      isReReview,
+      fullReview,
+      source,
+      skipIfReviewed: dedupe,
+      maxAttempts: reviewConfig.queue.maxAttempts,
+    };
+    const commitSha = pullRequest.lastCommitSha;
+    const runAt = new Date(Date.now() + delayMs);
+
+    if (!dedupe) {
+      return ReviewJob.create({ ...initial, commitSha, runAt });
+    }
+
+    // Push back the pending job for this PR instead of queueing another one
+    const dedupeKey = `pr:${pullRequest._id}`;
+
+    try {
+      return await ReviewJob.findOneAndUpdate(
+        { dedupeKey, status: "queued" },
+        { $set: { commitSha, runAt }, $setOnInsert: initial },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Lost an upsert race: the other insert already holds the key
+      if (error.code === 11000) {
+        return ReviewJob.findOneAndUpdate(
+          { dedupeKey, status: "queued" },
+          { $set: { commitSha, runAt } },
+          { new: true }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(
+      () => this.poll(),
+      reviewConfig.queue.pollIntervalMs
+    );
+    logger.info(`Review worker ${this.workerId} started`);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to settle
+   */
+  async stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    await Promise.allSettled(this.activeJobs.values());
+  }
+
+  /**
+   * Claim and start as many jobs as the concurrency limit allows
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < reviewConfig.queue.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const key = job._id.toString();
+        const run = this.runJob(job).finally(() => this.activeJobs.delete(key));
+        this.activeJobs.set(key, run);
+      }
+    } catch (error) {
+      logger.error("Error polling review queue", { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Lease the next due job whose installation is below its concurrency limit.
+   * Running jobs with an expired lease belong to a dead worker and are reclaimed.
+   * The installation's slot is taken before the job, so workers claiming at
+   * the same time can't run more than the limit.
+   */
+  async claimNext() {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + reviewConfig.queue.leaseMs);
+    const claimable = {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lte: now } },
+      ],
+    };
+    const saturated = [];
+
+    for (;;) {
+      const candidate = await ReviewJob.findOne({
+        ...claimable,
+        installationId: { $nin: saturated },
+      }).sort({ runAt: 1 });
+      if (!candidate) return null;
+
+      const jobId = candidate._id.toString();
+      const acquired = await InstallationSlot.acquire(
+        "review",
+        candidate.installationId,
+        jobId,
+        reviewConfig.queue.perInstallationConcurrency,
+        lockedUntil
+      );
+      if (!acquired) {
+        saturated.push(candidate.installationId);
+        continue;
+      }
+
+      const job = await ReviewJob.findOneAndUpdate(
+        { _id: candidate._id, ...claimable },
+        {
+          $set: {
+            status: "running",
+            lockedBy: this.workerId,
+            lockedUntil,
+            startedAt: now,
+          },
+          $unset: { dedupeKey: "" },
+          $inc: { attempts: 1 },
+        },
+        { new: true }
+      );
+      if (job) return job;
+
+      // Another worker claimed the job first
+      await InstallationSlot.release("review", candidate.installationId, jobId);
+    }
+  }
+
+  /**
+   * Run a claimed job, keeping its lease alive until it settles
+   */
+  async runJob(job) {
+    const jobId = job._id.toString();
+    const heartbeat = setInterval(() => {
+      const lockedUntil = new Date(Date.now() + reviewConfig.queue.leaseMs);
+
+      Promise.all([
+        ReviewJob.updateOne(
+          { _id: job._id, lockedBy: this.workerId },
+          { $set: { lockedUntil } }
+        ),
+        InstallationSlot.renew("review", job.installationId, jobId, lockedUntil),
+      ]).catch((error) => {
+        logger.warn("Failed to renew review job lease", {
+          error: error.message,
+          jobId: job._id,
+        });
+      });
+    }, Math.floor(reviewConfig.queue.leaseMs / 3));
+
+    try {
+      if (job.attempts > job.maxAttempts) {
+        await this.deadLetter(job, job.lastError || "Lease expired too often");
+        return;
+      }
+
+      const result = await this.processJob(job);
+      await this.finishJob(job, result);
+    } catch (error) {
+      logger.error("Review job failed", {
+        error: error.message,
+        jobId: job._id,
+        attempt: job.attempts,
+      });
+      await this.failJob(job, error);
+    } finally {
+      clearInterval(heartbeat);
+      await InstallationSlot.release("review", job.installationId, jobId).catch(
+        (error) => {
+          logger.warn("Failed to release installation slot", {
+            error: error.message,
+            jobId: job._id,
+          });
+        }
+      );
+    }
+  }
+
+  /**
+   * Review the pull request and charge credits
+   */
+  async processJob(job) {
+    const pullRequest = await PullRequest.findById(job.pullRequestId);
+
+    if (!pullRequest || pullRequest.state !== "open") {
+      return { status: "skipped", reason: "Pull request is not open" };
+    }
+
+    if (
+      job.skipIfReviewed &&
+      pullRequest.hasReviewForCommit(pullRequest.lastCommitSha)
+    ) {
+      return {
+        status: "skipped",
+        reason: `Already reviewed at ${pullRequest.lastCommitSha}`,
+      };
+    }
+
+    if (job.userId) {
+      const credits = await creditService.checkCreditAvailability(
+        job.userId,
+        reviewConfig.creditCost
+      );
+
+      if (!credits.sufficient) {
+        logger.warn(
+          `Skipping review for PR #${pullRequest.prNumber}: insufficient credits`,
+          { userId: job.userId, available: credits.available }
+        );
+        return { status: "skipped", reason: "Insufficient credits" };
+      }
+    }
+
+    // Pin the review id so retries update the same review record
+    if (!job.reviewId) {
+      job.reviewId = this.reviewManager.createReviewId(pullRequest);
+      await ReviewJob.updateOne(
+        { _id: job._id },
+        { $set: { reviewId: job.reviewId } }
+      );
+    }
+
+    const isReReview =
+      typeof job.isReReview === "boolean"
+        ? job.isReReview
+        : pullRequest.reviews.some((r) => r.status === "completed");
+
+    await aiReviewService.reviewPullRequest(pullRequest._id, isReReview, {
+      reviewId: job.reviewId,
+      fullReview: job.fullReview,
+    });
+
+    if (job.userId) {
+      try {
+        await creditService.useCredits(
+          job.userId,
+          reviewConfig.creditCost,
+          `AI review for PR #${pullRequest.prNumber}`,
+          {
+            pullRequestId: pullRequest._id.toString(),
+            reviewId: job.reviewId,
+            commitSha: pullRequest.lastCommitSha,
+          }
+        );
+      } catch (error) {
+        // The review is already posted; retrying would only post it again
+        logger.error("Failed to charge credits for review", {
+          error: error.message,
+          userId: job.userId,
+          reviewId: job.reviewId,
+        });
+      }
+    }
+
+    return { status: "completed" };
+  }
+
+  async finishJob(job, result) {
+    await ReviewJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: {
+          status: result.status,
+          reviewId: job.reviewId,
+          completedAt: new Date(),
+          lastError: result.reason,
+        },
+        $unset: { lockedBy: "", lockedUntil: "" },
+      }
+    );
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   */
+  async failJob(job, error) {
+    if (job.attempts >= job.maxAttempts) {
+      await this.deadLetter(job, error.message);
+      return;
+    }
+
+    const delay =
+      reviewConfig.queue.backoffMs * Math.pow(2, job.attempts - 1);
+
+    await ReviewJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: {
+          status: "queued",
+          runAt: new Date(Date.now() + delay),
+          lastError: error.message,
+        },
+        $unset: { lockedBy: "", lockedUntil: "" },
+      }
+    );
+
+    // Show the review as waiting again rather than failed
+    if (job.reviewId) {
+      await PullRequest.updateOne(
+        { _id: job.pullRequestId, "reviews.reviewId": job.reviewId },
+        { $set: { "reviews.$.status": "pending" } }
+      );
+    }
+
+    logger.info(`Review job ${job._id} will retry in ${delay}ms`);
+  }
+
+  async deadLetter(job, reason) {
+    await ReviewJob.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: "dead", lastError: reason, completedAt: new Date() },
+        $unset: { lockedBy: "", lockedUntil: "" },
+      }
+    );
+
+    if (job.reviewId) {
+      await this.reviewManager.markReviewFailed(
+        job.pullRequestId,
+        job.reviewId,
+        reason
+      );
+    }
+
+    logger.error(`Review job ${job._id} dead-lettered`, {
+      reason,
+      attempts: job.attempts,
+    });
+
+    const pullRequest = await PullRequest.findById(job.pullRequestId).populate(
+      "repositoryId"
+    );
+
+    if (pullRequest) {
+      await notificationService.send({
+        type: "review_failed",
+        data: {
+          title: pullRequest.title,
+          repository: pullRequest.repositoryId?.fullName,
+          url: pullRequest.url,
+          error: reason,
+        },
+      });
+    }
+  }
+
+  /**
+   * The user an interrupted review is charged to: whoever its last job was
+   * charging, or the installation owner when it never had a job
+   */
+  async findPayingUser(pullRequest, reviewId) {
+    const lastJob = await ReviewJob.findOne({ reviewId }).sort({ createdAt: -1 });
+    if (lastJob) {
+      return lastJob.userId;
+    }
+
+    const installation = await Installation.findOne({
+      installationId: pullRequest.installationId,
+      status: "active",
+    });
+
+    return installation?.userId;
+  }
+
+  /**
+   * Requeue reviews left "in_progress" by a process that is no longer running
+   */
+  async recoverStaleReviews() {
+    const pullRequests = await PullRequest.find({
+      "reviews.status": "in_progress",
+    });
+    let recovered = 0;
+
+    for (const pullRequest of pullRequests) {
+      const staleReviews = [];
+
+      for (const review of pullRequest.reviews) {
+        if (review.status !== "in_progress") continue;
+
+        // A queued or leased job will pick this review up on its own
+        const activeJob = await ReviewJob.findActiveByReviewId(review.reviewId);
+        if (activeJob) continue;
+
+        review.status = "pending";
+        staleReviews.push(review);
+      }
+
+      if (staleReviews.length === 0) continue;
+
+      await pullRequest.save();
+
+      for (const review of staleReviews) {
+        await this.enqueue(pullRequest, {
+          userId: await this.findPayingUser(pullRequest, review.reviewId),
+          reviewId: review.reviewId,
+          isReReview: review.isReReview,
+          source: "recovery",
+        });
+        recovered++;
+      }
+    }
+
+    if (recovered > 0) {
+      logger.info(`Recovered ${recovered} interrupted reviews`);
+    }
+
+    return recovered;
+  }
+}
+
+module.exports = new ReviewQueueService();
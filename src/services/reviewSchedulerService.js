@@ -0,0 +1,56 @@
+// reviewSchedulerService.js - Decides when automatic reviews run
+const reviewQueueService = require("./reviewQueueService");
+const { review: reviewConfig } = require("../config/env");
+const logger = require("../utils/logger");
+
+const AUTO_REVIEW_ACTIONS = ["opened", "reopened", "synchronize"];
+
+class ReviewSchedulerService {
+  /**
+   * Check whether a webhook action should start an automatic review
+   */
+  shouldAutoReview(action, repository, pullRequest) {
+    if (!AUTO_REVIEW_ACTIONS.includes(action)) {
+      return false;
+    }
+
+    if (!repository.configuration?.autoReview) {
+      return false;
+    }
+
+    const threshold = repository.configuration.reviewThreshold || 0;
+    const changedLines =
+      (pullRequest.additions || 0) + (pullRequest.deletions || 0);
+
+    if (changedLines < threshold) {
+      logger.info(
+        `Skipping auto-review for PR #${pullRequest.prNumber}: ${changedLines} changed lines is below threshold ${threshold}`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Queue a review, collapsing rapid pushes to the same PR into one run.
+   * Credits are charged to the given user once the review completes.
+   */
+  async scheduleReview(pullRequest, userId) {
+    const job = await reviewQueueService.enqueue(pullRequest, {
+      userId,
+      source: "webhook",
+      delayMs: reviewConfig.debounceMs,
+      dedupe: true,
+    });
+
+    logger.info(
+      `Auto-review scheduled for PR #${pullRequest.prNumber} at ${pullRequest.lastCommitSha}`,
+      { jobId: job._id }
+    );
+
+    return job;
+  }
+}
+
+module.exports = new ReviewSchedulerService();
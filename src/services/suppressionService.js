@@ -0,0 +1,259 @@
+// suppressionService.js - Repository suppression rules built from dismissed findings
+const SuppressionRule = require("../models/SuppressionRule");
+const githubService = require("./githubService");
+const CommentProcessor = require("../helpers/commentProcessor");
+const { escapeGlob, matchesPattern } = require("../utils/pathFilter");
+const logger = require("../utils/logger");
+
+// Posted findings start with "<emoji> **[SEVERITY]** *category* - text"
+const POSTED_FINDING_PATTERN = /\*\*\[[A-Z]+\]\*\*\s*(?:\*([^*\n]+)\*\s*-\s*)?([^\n]*)/;
+
+class SuppressionService {
+  constructor() {
+    this.commentProcessor = new CommentProcessor();
+  }
+
+  async getActiveRules(repositoryId) {
+    return SuppressionRule.findActiveByRepository(repositoryId).lean();
+  }
+
+  async listRules(repositoryId) {
+    return SuppressionRule.find({ repositoryId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Create a rule, or return the active rule that already covers it
+   * @param {Object} data - { pathGlob, category, message, source, createdBy, pullRequestId, sourceCommentId }
+   */
+  async createRule(repository, data) {
+    const fingerprint = this.commentProcessor.messageFingerprint(data.message);
+
+    if (!fingerprint) {
+      const error = new Error("The message has no words a finding could be matched on");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const pathGlob = data.pathGlob || "**";
+    const category = data.category || undefined;
+
+    const existing = await SuppressionRule.findOne({
+      repositoryId: repository._id,
+      isActive: true,
+      pathGlob,
+      category: category || null,
+      fingerprint,
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const rule = await SuppressionRule.create({
+      repositoryId: repository._id,
+      pathGlob,
+      category,
+      fingerprint,
+      message: data.message.substring(0, 500),
+      source: data.source,
+      createdBy: data.createdBy,
+      pullRequestId: data.pullRequestId,
+      sourceCommentId: data.sourceCommentId,
+    });
+
+    logger.info(`Suppression rule created for ${repository.fullName}`, {
+      ruleId: rule._id,
+      source: data.source,
+      pathGlob,
+    });
+
+    return rule;
+  }
+
+  /**
+   * Turn one of the app's review comments into a rule for its file
+   * @param {Object} comment - GitHub review comment carrying a finding marker
+   */
+  async dismissFinding(repository, pullRequest, comment, source, createdBy) {
+    const finding = this.describeFinding(pullRequest, comment);
+
+    let pathGlob;
+    if (finding.path) {
+      // A bare file name would match that name in every directory
+      pathGlob = escapeGlob(finding.path);
+      if (!finding.path.includes("/")) {
+        pathGlob = `/${pathGlob}`;
+      }
+
+      if (!matchesPattern(finding.path, pathGlob)) {
+        throw new Error(`Could not build a rule matching ${finding.path}`);
+      }
+    }
+
+    return this.createRule(repository, {
+      pathGlob,
+      category: finding.category,
+      message: finding.comment,
+      source,
+      createdBy,
+      pullRequestId: pullRequest._id,
+      sourceCommentId: comment.id,
+    });
+  }
+
+  /**
+   * The stored finding behind a posted comment, or what the comment text
+   * says about it when no stored review has it
+   */
+  describeFinding(pullRequest, comment) {
+    const key = this.commentProcessor.parseFindingKey(comment.body);
+
+    for (const review of pullRequest.reviews || []) {
+      const feedback = (review.feedback || []).find(
+        (item) => this.commentProcessor.findingKey(item) === key
+      );
+
+      if (feedback) {
+        return {
+          path: feedback.path,
+          category: feedback.category,
+          comment: feedback.comment,
+        };
+      }
+    }
+
+    const match = (comment.body || "").match(POSTED_FINDING_PATTERN);
+    return {
+      path: comment.path,
+      category: match?.[1],
+      comment: match ? match[2] : comment.body,
+    };
+  }
+
+  /**
+   * Create rules for the app's comments that a maintainer gave a thumbs-down.
+   * GitHub sends no webhook for reactions, so this runs before each review.
+   * @returns {number} Rules created
+   */
+  async syncReactionDismissals(repository, pullRequest) {
+    const { installationId, owner, name } = repository;
+    let created = 0;
+
+    try {
+      const comments = await githubService.listReviewComments(
+        installationId,
+        owner,
+        name,
+        pullRequest.prNumber
+      );
+
+      const disliked = comments.filter(
+        (comment) =>
+          comment.reactions?.["-1"] > 0 &&
+          this.commentProcessor.parseFindingKey(comment.body)
+      );
+      if (disliked.length === 0) {
+        return 0;
+      }
+
+      // Rules removed in the dashboard stay removed, so inactive ones count too
+      const known = await SuppressionRule.find({
+        repositoryId: repository._id,
+        sourceCommentId: { $in: disliked.map((comment) => comment.id) },
+      }).select("sourceCommentId");
+      const knownIds = new Set(known.map((rule) => rule.sourceCommentId));
+      const maintainers = new Map();
+
+      for (const comment of disliked) {
+        if (knownIds.has(comment.id)) continue;
+
+        const reactions = await githubService.listReviewCommentReactions(
+          installationId,
+          owner,
+          name,
+          comment.id,
+          "-1"
+        );
+
+        const dismissedBy = await this.findMaintainer(
+          repository,
+          reactions.map((reaction) => reaction.user?.login).filter(Boolean),
+          maintainers
+        );
+        if (!dismissedBy) continue;
+
+        try {
+          await this.dismissFinding(repository, pullRequest, comment, "reaction", dismissedBy);
+          created++;
+        } catch (error) {
+          logger.warn("Could not dismiss finding", {
+            error: error.message,
+            commentId: comment.id,
+          });
+        }
+      }
+    } catch (error) {
+      logger.warn("Could not sync dismissed findings", {
+        error: error.message,
+        prNumber: pullRequest.prNumber,
+      });
+    }
+
+    return created;
+  }
+
+  /**
+   * First of the given users with write access; anyone else's reaction
+   * doesn't change what the repository is reviewed for
+   */
+  async findMaintainer(repository, usernames, cache) {
+    for (const username of usernames) {
+      if (!cache.has(username)) {
+        cache.set(
+          username,
+          await githubService.hasWriteAccess(
+            repository.installationId,
+            repository.owner,
+            repository.name,
+            username
+          )
+        );
+      }
+
+      if (cache.get(username)) {
+        return username;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count the findings each rule suppressed in a review
+   * @param {Array} suppressed - { finding, rule } pairs from CommentProcessor.partitionSuppressed
+   */
+  async recordMatches(suppressed) {
+    const counts = new Map();
+
+    suppressed
+      .filter((item) => item.rule)
+      .forEach((item) => {
+        const id = item.rule._id.toString();
+        counts.set(id, (counts.get(id) || 0) + 1);
+      });
+
+    try {
+      for (const [id, count] of counts) {
+        await SuppressionRule.updateOne(
+          { _id: id },
+          { $inc: { matchCount: count }, $set: { lastMatchedAt: new Date() } }
+        );
+      }
+    } catch (error) {
+      logger.warn("Could not record suppression rule matches", {
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,54 @@
+/**
+ * Language detection from file names
+ * Names double as Markdown fence languages for GitHub syntax highlighting
+ */
+const path = require('path');
+
+const EXTENSION_LANGUAGES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  java: 'java',
+  kt: 'kotlin',
+  go: 'go',
+  rb: 'ruby',
+  php: 'php',
+  cs: 'csharp',
+  cpp: 'cpp',
+  cc: 'cpp',
+  h: 'c',
+  c: 'c',
+  rs: 'rust',
+  swift: 'swift',
+  sh: 'bash',
+  yml: 'yaml',
+  yaml: 'yaml',
+  md: 'markdown',
+  json: 'json',
+  html: 'html',
+  css: 'css',
+  scss: 'scss',
+  sql: 'sql'
+};
+
+/**
+ * Get the language of a file from its extension
+ * @param {string} filename - File path
+ * @returns {string|null} Language name, the bare extension if unmapped, or null
+ */
+const getLanguage = (filename) => {
+  const ext = path.extname(filename || '').slice(1).toLowerCase();
+  if (!ext) {
+    return null;
+  }
+
+  return EXTENSION_LANGUAGES[ext] || ext;
+};
+
+module.exports = {
+  getLanguage
+};
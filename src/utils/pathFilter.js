@@ -0,0 +1,137 @@
+/**
+ * Path matching for review configuration
+ * Globs follow minimatch: `*` stays within one directory, `**` spans any
+ * number of them, and dotfiles match like any other file. A pattern also
+ * matches everything below a directory it matches, and a trailing `/`
+ * matches directories only. Like .gitignore, a pattern without a slash
+ * (`*.md`, `vendor`) matches at any depth, as if prefixed with `**` and a
+ * slash; one with a slash, including a leading one, is anchored to the
+ * repository root. In a list of patterns a leading `!` takes paths back out
+ * of the earlier patterns, and the last matching pattern wins.
+ */
+const { Minimatch } = require('minimatch');
+
+const matchers = new Map();
+
+const getMatcher = (glob) => {
+  if (!matchers.has(glob)) {
+    matchers.set(glob, new Minimatch(glob, { dot: true, nocomment: true, nonegate: true }));
+  }
+
+  return matchers.get(glob);
+};
+
+/**
+ * Normalize a pattern or path to a repository-relative form
+ */
+const normalize = (value) => (value || '').trim().replace(/^(\.\/|\/)+/, '');
+
+/**
+ * Turn a file path into a glob matching only that path, escaping the
+ * characters minimatch would read as wildcards (`pages/[id].js`)
+ * @param {string} filename - Repository-relative file path
+ * @returns {string}
+ */
+const escapeGlob = (filename) => filename.replace(/[[\]*?{}()!\\]/g, '\\$&');
+
+/**
+ * Check one pattern (without negation) against a file path
+ * @param {string} filename - Repository-relative file path
+ * @param {string} pattern - Glob, directory or file path
+ * @returns {boolean}
+ */
+const matchesPattern = (filename, pattern) => {
+  const file = normalize(filename);
+  const anchored = (pattern || '').trim().replace(/\/+$/, '').includes('/');
+  let glob = normalize(pattern);
+
+  if (!file || !glob) {
+    return false;
+  }
+
+  const directoryOnly = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+  if (!glob) {
+    return false;
+  }
+
+  if (!anchored) {
+    glob = `**/${glob}`;
+  }
+
+  const matcher = getMatcher(glob);
+  const parts = file.split('/');
+
+  if (!directoryOnly && matcher.match(file)) {
+    return true;
+  }
+
+  // Any directory the file is in
+  for (let i = parts.length - 1; i > 0; i--) {
+    if (matcher.match(parts.slice(0, i).join('/'))) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * The pattern that decides whether a path is in a list
+ * @param {string} filename - Repository-relative file path
+ * @param {Array<string>} patterns - Patterns, `!` ones re-including paths
+ * @returns {string|null} The last matching pattern, or null when the path
+ *   isn't in the list (including when a negated pattern matched last)
+ */
+const findMatch = (filename, patterns = []) => {
+  let match = null;
+
+  patterns.forEach((pattern) => {
+    const negated = (pattern || '').trim().startsWith('!');
+    const glob = negated ? pattern.trim().slice(1) : pattern;
+
+    if (matchesPattern(filename, glob)) {
+      match = negated ? null : pattern;
+    }
+  });
+
+  return match;
+};
+
+/**
+ * Split file paths into those a configuration reviews and those it skips
+ * @param {Array<string>} filenames - Repository-relative file paths
+ * @param {Object} configuration - { includedPaths, excludedPaths }
+ * @returns {Object} { included: [path], skipped: [{ path, reason, pattern }] }
+ *   reason is "excluded" or "not_included"
+ */
+const filterPaths = (filenames, configuration = {}) => {
+  const includedPaths = configuration.includedPaths || [];
+  const excludedPaths = configuration.excludedPaths || [];
+  const included = [];
+  const skipped = [];
+
+  filenames.forEach((filename) => {
+    if (includedPaths.length > 0 && !findMatch(filename, includedPaths)) {
+      skipped.push({ path: filename, reason: 'not_included', pattern: null });
+      return;
+    }
+
+    const excludedBy = findMatch(filename, excludedPaths);
+    if (excludedBy) {
+      skipped.push({ path: filename, reason: 'excluded', pattern: excludedBy });
+      return;
+    }
+
+    included.push(filename);
+  });
+
+  return { included, skipped };
+};
+
+module.exports = {
+  escapeGlob,
+  matchesPattern,
+  findMatch,
+  filterPaths
+};